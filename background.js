@@ -1,192 +1,895 @@
 // Background listener that forwards translation requests to a proxy (e.g. Vercel)
-// The proxy URL and optional token can be stored in chrome.storage.local as
-// { proxyUrl: 'https://your.vercel.app/api/translate', proxyToken: 'secret' }
-
-function getProxyConfig() {
-  return new Promise((resolve) => {
-    chrome.storage.local.get(['proxyUrl', 'proxyToken'], (res) => {
-      resolve({
-        url: res?.proxyUrl || 'https://smarttranslateplus-f5y4.vercel.app/api/translate',
-        token: res?.proxyToken || null
-      });
-    });
+// The proxy endpoints, tokens and target language come from the options page (see settings.js)
+importScripts('settings.js', 'glossary.js', 'cache.js', 'notebook.js', 'rules.js', 'history.js', 'batching.js', 'failover.js');
+
+// Settings are kept in memory and refreshed whenever the options page changes them
+let settingsPromise = loadSettings();
+onSettingsChanged(() => { settingsPromise = loadSettings(); });
+// the glossary lives in chrome.storage.sync (see glossary.js)
+let glossaryPromise = loadGlossary();
+onGlossaryChanged(() => { glossaryPromise = loadGlossary(); });
+
+// Configured proxies, in order of preference
+async function getProxyEndpoints() {
+  const settings = await settingsPromise;
+  return settings.proxyEndpoints.map(({ url, token }) => ({ url, token: token || null }));
+}
+
+// Translations, analyses and TTS audio are cached in IndexedDB (see cache.js), each in its own
+// store with its own TTL and size cap from the options page
+const CACHE_SWEEP_ALARM = 'st-cache-sweep';
+
+async function getCacheTtlMs() {
+  const settings = await settingsPromise;
+  return Number(settings.cacheTtlHours) * 60 * 60 * 1000;
+}
+
+function createSettingsCache(store, ttlSetting, maxMbSetting) {
+  return createIdbCache({
+    store,
+    getTtlMs: async () => Number((await settingsPromise)[ttlSetting]) * 60 * 60 * 1000,
+    getMaxBytes: async () => Number((await settingsPromise)[maxMbSetting]) * 1024 * 1024
   });
 }
 
-// Simple persistent cache stored in chrome.sto rage.local to avoid repeated API calls
-const CACHE_KEY = 'translationCacheV1';
-const CACHE_TTL_MS = 24 * 60 * 60 * 1000; // 24 hours
-
-function getCachedTranslation(key) {
-  return new Promise((resolve) => {
-    chrome.storage.local.get([CACHE_KEY], (res) => {
-      const map = res?.[CACHE_KEY] || {};
-      const entry = map[key];
-      if (!entry) return resolve(null);
-      if (Date.now() - entry.ts > CACHE_TTL_MS) {
-        // expired
-        delete map[key];
-        chrome.storage.local.set({ [CACHE_KEY]: map }, () => resolve(null));
-        return;
-      }
-      resolve(entry.translation);
-    });
+const caches = {
+  translations: createSettingsCache('translations', 'cacheTtlHours', 'cacheMaxMb'),
+  analyses: createSettingsCache('analyses', 'analysisCacheTtlHours', 'analysisCacheMaxMb'),
+  audio: createSettingsCache('audio', 'audioCacheTtlHours', 'audioCacheMaxMb')
+};
+const translationCache = caches.translations;
+
+// Provider and model behind each endpoint, as reported by the proxy in its responses. They are
+// part of the cache key, so pointing the proxy at another model does not serve stale entries.
+// Stored as { [endpoint url]: { provider, model } }.
+const PROVIDER_INFO_KEY = 'proxyProviderInfo';
+let providerInfoPromise = new Promise((resolve) => {
+  chrome.storage.local.get([PROVIDER_INFO_KEY], (res) => resolve(res?.[PROVIDER_INFO_KEY] || {}));
+});
+
+// Provider and model of the endpoint that would serve the next request
+async function getProviderInfo() {
+  const [endpoints, infos] = await Promise.all([getProxyEndpoints(), providerInfoPromise]);
+  const endpoint = endpoints.find(({ url }) => getCircuitBreaker(url).isAvailable()) || endpoints[0];
+  return infos[endpoint.url] || { provider: '', model: '' };
+}
+
+async function rememberProviderInfo(url, data) {
+  if (!data || !data.provider) return;
+  const infos = await providerInfoPromise;
+  const current = infos[url];
+  if (current && current.provider === data.provider && current.model === (data.model || '')) return;
+  const updated = { ...infos, [url]: { provider: data.provider, model: data.model || '' } };
+  providerInfoPromise = Promise.resolve(updated);
+  chrome.storage.local.set({ [PROVIDER_INFO_KEY]: updated });
+}
+
+async function hashCacheKey(parts) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(JSON.stringify(parts)));
+  return Array.from(new Uint8Array(digest), (b) => b.toString(16).padStart(2, '0')).join('');
+}
+
+// SHA-256 of (provider, model, target, text, context[, secondaryTarget, formality, glossary,
+// fidelity, domain])
+function translationCacheKey({ target, text, context, secondaryTarget, formality, glossary, fidelity, domain }, { provider, model }) {
+  const parts = [provider || '', model || '', target, text, context || ''];
+  // options added later only take part up to the last one set, so older entries stay valid
+  const options = [secondaryTarget || '', formality || '', glossary?.length ? JSON.stringify(glossary) : '', fidelity || '', domain || ''];
+  while (options.length && !options[options.length - 1]) options.pop();
+  return hashCacheKey(parts.concat(options));
+}
+
+// Analyses and audio do not report their provider: they are keyed on the primary proxy instead
+async function analysisCacheKey(text) {
+  const [primary] = await getProxyEndpoints();
+  return hashCacheKey(['analysis', primary.url, text]);
+}
+
+async function audioCacheKey(text, voice) {
+  const [primary] = await getProxyEndpoints();
+  return hashCacheKey(['tts', primary.url, voice || '', text]);
+}
+
+// The source language detected by the proxy and the language actually translated into
+// (see secondaryTarget in translate.js), kept with the cached translation
+const SOURCE_INFO_FIELDS = ['detectedSource', 'confidence', 'target'];
+
+function pickSourceInfo(data) {
+  const info = {};
+  SOURCE_INFO_FIELDS.forEach((field) => {
+    if (data[field] !== undefined && data[field] !== null) info[field] = data[field];
+  });
+  return info;
+}
+
+// { translation, detectedSource?, confidence?, target? } or null
+async function getCachedTranslation(request) {
+  const cached = await translationCache.get(await translationCacheKey(request, await getProviderInfo()));
+  // entries written before the source language was reported are plain strings
+  return typeof cached === 'string' ? { translation: cached } : cached;
+}
+
+// `entries` are { request, data }: the { target, text, context, secondaryTarget, glossary } sent,
+// with the style options, and the proxy response
+async function setCachedTranslations(entries) {
+  if (!entries.length) return;
+  const records = await Promise.all(entries.map(async ({ request, data }) => ({
+    key: await translationCacheKey(request, data),
+    value: { translation: data.translation, ...pickSourceInfo(data) }
+  })));
+  await translationCache.setMany(records);
+}
+
+function setCachedTranslation(request, data) {
+  return setCachedTranslations([{ request, data }]);
+}
+
+chrome.runtime.onInstalled.addListener(() => {
+  // the previous cache kept every entry in one storage object, under keys that did not include
+  // the provider nor the whole context: it cannot be carried over
+  chrome.storage.local.remove('translationCacheV1');
+});
+
+chrome.alarms.get(CACHE_SWEEP_ALARM, (alarm) => {
+  if (!alarm) chrome.alarms.create(CACHE_SWEEP_ALARM, { periodInMinutes: 60 });
+});
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name !== CACHE_SWEEP_ALARM) return;
+  Object.values(caches).forEach((cache) => {
+    cache.sweep().catch((err) => console.warn('Cache sweep failed', err));
+  });
+});
+
+// { translations, analyses, audio } statistics, see info() in cache.js
+async function handleGetCacheStats() {
+  const names = Object.keys(caches);
+  const stats = await Promise.all(names.map((name) => caches[name].info()));
+  return Object.fromEntries(names.map((name, i) => [name, stats[i]]));
+}
+
+// Clears every cache; pinned entries are kept unless `includePinned` is set
+async function handleClearCache(message) {
+  await Promise.all(Object.values(caches).map((cache) => cache.clear({ includePinned: !!message.includePinned })));
+  return { ok: true };
+}
+
+// Vocabulary notebook (notebook.js): the popup saves words, review.html lists and reviews them
+const NOTEBOOK_TEXT_MAX_LENGTH = 1000;
+
+async function handleNotebookSave(message) {
+  const original = String(message.original || '').trim();
+  const translation = String(message.translation || '').trim();
+  if (!original || !translation) return { error: 'empty_text' };
+  if (original.length > NOTEBOOK_TEXT_MAX_LENGTH) return { error: 'text_too_long' };
+  return saveNotebookEntry({
+    original,
+    translation,
+    context: String(message.context || '').slice(0, 1000),
+    url: message.url,
+    title: message.title,
+    source: message.source,
+    target: message.target,
+    analysis: message.analysis
   });
 }
 
-function setCachedTranslation(key, translation) {
-  return new Promise((resolve) => {
-    chrome.storage.local.get([CACHE_KEY], (res) => {
-      const map = res?.[CACHE_KEY] || {};
-      map[key] = { translation, ts: Date.now() };
-      chrome.storage.local.set({ [CACHE_KEY]: map }, () => resolve());
+async function handleNotebookLookup(message) {
+  const card = await findNotebookEntry(String(message.original || ''), message.target);
+  return { saved: !!card };
+}
+
+// { cards } (all of them, or only the due ones with `due: true`)
+async function handleNotebookList(message) {
+  return { cards: await (message.due ? listDueNotebookEntries() : listNotebookEntries()) };
+}
+
+async function handleNotebookReview(message) {
+  if (!REVIEW_GRADES.includes(message.grade)) return { error: 'invalid_grade' };
+  const card = await reviewNotebookEntry(message.id, message.grade);
+  return card ? { card } : { error: 'not_found' };
+}
+
+// Cards of an exported notebook (validated by exchange.js), merged into the saved ones
+const NOTEBOOK_IMPORT_MAX_CARDS = 20000;
+
+async function handleNotebookImport(message) {
+  if (!Array.isArray(message.cards)) return { error: 'invalid_import' };
+  if (message.cards.length > NOTEBOOK_IMPORT_MAX_CARDS) return { error: 'import_too_large', max: NOTEBOOK_IMPORT_MAX_CARDS };
+  return importNotebookEntries(message.cards);
+}
+
+async function handleNotebookDelete(message) {
+  await deleteNotebookEntry(message.id);
+  return { ok: true };
+}
+
+// Translation history (history.js): content.js marks the first translation shown in a popup
+// with `history: true` (not its style retranslations), and it is recorded with the page of the
+// tab that asked for it
+async function recordHistory({ text, context, translation, detectedSource, target }, tab) {
+  const settings = await settingsPromise;
+  if (!settings.historyEnabled || !tab?.url || !translation) return;
+  if (tab.incognito && settings.historyExcludeIncognito) return;
+  let url;
+  try {
+    url = new URL(tab.url);
+  } catch (err) {
+    return;
+  }
+  if (settings.historyExcludedSites.some((pattern) => hostMatchesPattern(pattern, url.hostname))) return;
+  await addHistoryEntry({
+    original: text,
+    translation,
+    context,
+    url: url.href,
+    title: tab.title,
+    host: url.hostname,
+    source: detectedSource,
+    // cached entries from before the proxy reported it
+    target: target || settings.targetLang
+  });
+}
+
+// { entries, total, hosts, languages }, see searchHistoryEntries
+async function handleHistorySearch(message) {
+  return searchHistoryEntries({
+    query: String(message.query || ''),
+    host: message.host || '',
+    target: message.target || '',
+    limit: Math.min(Number(message.limit) || 200, 1000)
+  });
+}
+
+// Shows an entry again in the translation popup of a tab (the active one of the toolbar popup)
+async function handleHistoryReopen(message) {
+  const entry = await getHistoryEntry(message.id);
+  if (!entry) return { error: 'not_found' };
+  const tab = Number.isInteger(message.tabId) ? await chrome.tabs.get(message.tabId).catch(() => null) : null;
+  const shown = await sendToContentScript(tab, { type: 'SHOW_TRANSLATION', entry }, 0);
+  return shown ? { ok: true } : { error: 'unsupported_page' };
+}
+
+async function handleHistoryDelete(message) {
+  await deleteHistoryEntry(message.id);
+  return { ok: true };
+}
+
+async function handleHistoryExport() {
+  return { entries: await listHistoryEntries() };
+}
+
+async function handleHistoryImport(message) {
+  if (!Array.isArray(message.entries)) return { error: 'invalid_import' };
+  if (message.entries.length > HISTORY_MAX_ENTRIES) return { error: 'import_too_large', max: HISTORY_MAX_ENTRIES };
+  return importHistoryEntries(message.entries);
+}
+
+async function handleHistoryClear() {
+  await clearHistory();
+  return { ok: true };
+}
+
+// Translations of long texts are chunked by the proxy; analysis and TTS stay at 10,000 chars
+const MAX_TEXT_LENGTH = 100000;
+const MAX_ANALYSIS_LENGTH = 10000;
+
+// Every proxy call goes through withFailover (failover.js): retries, circuit breakers and the
+// fallback to the next configured endpoint
+function proxyHeaders(endpoint) {
+  const headers = { 'Content-Type': 'application/json' };
+  if (endpoint.token) headers['x-proxy-token'] = endpoint.token;
+  return headers;
+}
+
+async function proxyErrorFromResponse(resp) {
+  const txt = await resp.text().catch(() => '');
+  console.error('Proxy responded with error', resp.status, txt);
+  const failure = { error: 'proxy_error', status: resp.status, message: txt };
+  const retryAfterMs = parseRetryAfterMs(resp, txt);
+  if (retryAfterMs !== undefined) failure.retryAfterMs = retryAfterMs;
+  return failure;
+}
+
+function requestFailure(err) {
+  if (err.name === 'AbortError') {
+    console.error('Proxy request timed out');
+    return { error: 'timeout' };
+  }
+  console.error('Proxy request failed', err);
+  return { error: 'request_failed', message: String(err && err.message ? err.message : err) };
+}
+
+// POST a payload to the proxy, with failover, retries and circuit breakers (see failover.js).
+// Resolves to { data, endpoint } (data is null when the body is not JSON) or to the error
+// response handed back to content.js.
+async function callProxy(payload, timeoutMs = 15000) {
+  const result = await withFailover(await getProxyEndpoints(), (endpoint) => callProxyOnce(endpoint, payload, timeoutMs));
+  if (result.data) rememberProviderInfo(result.endpoint, result.data);
+  return result;
+}
+
+// A single POST to one endpoint with a timeout
+async function callProxyOnce(endpoint, payload, timeoutMs) {
+  // Use AbortController to implement a timeout for the fetch
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), timeoutMs);
+
+  try {
+    const resp = await fetch(endpoint.url, {
+      method: 'POST',
+      headers: proxyHeaders(endpoint),
+      body: JSON.stringify(payload),
+      signal: controller.signal
     });
+    if (!resp.ok) return proxyErrorFromResponse(resp);
+    const data = await resp.json().catch(() => null);
+    return { data };
+  } catch (err) {
+    return requestFailure(err);
+  } finally {
+    clearTimeout(timeout);
+  }
+}
+
+// Glossary entries of `text`, for the target and the secondary target the proxy may switch to
+async function glossaryForText(text, targets) {
+  return glossaryEntriesFor(await glossaryPromise, text, targets.filter(Boolean));
+}
+
+// The glossary terms the translation missed are flagged in the popup as `glossaryViolations`
+function checkGlossary(response, glossary, target) {
+  if (!glossary.length || !response.translation) return response;
+  const violations = findGlossaryViolations(glossary, response.translation, response.target || target);
+  return violations.length ? { ...response, glossaryViolations: violations } : response;
+}
+
+// Style of a translation, as the proxy takes it: tone ('formal' | 'informal', also set by the
+// site rules), fidelity ('literal' | 'natural') and domain ('technical' | 'legal' | 'casual');
+// see TRANSLATION_STYLES in settings.js. Unset options are null.
+const STYLE_FIELDS = ['formality', 'fidelity', 'domain'];
+
+function pickStyle(message) {
+  return Object.fromEntries(STYLE_FIELDS.map((field) => [field, message[field] || null]));
+}
+
+function addStyle(payload, style) {
+  STYLE_FIELDS.forEach((field) => {
+    if (style[field]) payload[field] = style[field];
   });
+  return payload;
+}
+
+async function handleTranslateText(text, message) {
+  const settings = await settingsPromise;
+  const target = message.target || settings.targetLang;
+  const context = message.context || '';
+  // language used instead of `target` when the text is already in it (the popup asks for it)
+  const secondaryTarget = message.secondaryTarget || null;
+  const style = pickStyle(message);
+  // Request detailed analysis when context is provided, unless turned off in the options
+  // (a site rule may force it either way)
+  const detailedAnalysis = typeof message.detailedAnalysis === 'boolean' ? message.detailedAnalysis : settings.detailedAnalysis;
+  const withAnalysis = !!context && !!detailedAnalysis;
+  const glossary = await glossaryForText(text, [target, secondaryTarget]);
+  const request = { target, text, context, secondaryTarget, ...style, glossary };
+  // Check cache first (the detailed analysis is not cached: those always go to the proxy)
+  if (!withAnalysis) {
+    try {
+      const cached = await getCachedTranslation(request);
+      if (cached) return checkGlossary({ ...cached, cached: true }, glossary, target);
+    } catch (err) {
+      console.warn('Cache read failed', err);
+    }
+  }
+
+  const payload = addStyle({ text, target }, style);
+  if (context) payload.context = context;
+  if (secondaryTarget) payload.secondaryTarget = secondaryTarget;
+  if (glossary.length) payload.glossary = glossary;
+  if (withAnalysis) payload.detailedAnalysis = true;
+
+  // long translations are split in chunks by the proxy: allow ~10s more per extra chunk
+  const timeoutMs = 15000 + Math.min(105000, Math.floor(text.length / 2000) * 10000);
+  const batchable = !context && !withAnalysis && !secondaryTarget && text.length <= BATCHABLE_MAX_LENGTH;
+  const result = await (batchable ? queueBatchTranslation(text, target, style, glossary) : callProxy(payload, timeoutMs));
+  if (result.error) return result;
+  const { data, endpoint } = result;
+  if (!data) return { error: 'invalid_response', endpoint };
+  if (data.translation) {
+    // Only cache simple translations, not detailed analysis nor partial ones
+    if (!withAnalysis && !data.partial) {
+      setCachedTranslation(request, data).catch((err) => console.warn('Cache write failed', err));
+    }
+    // Send back translation along with the detected source language, detailed analysis if
+    // available, and which proxy served it
+    const response = { translation: data.translation, ...pickSourceInfo(data), endpoint };
+    if (data.detailedAnalysis) {
+      response.detailedAnalysis = data.detailedAnalysis;
+    }
+    // some chunks of a long text could not be translated (they are left in the original)
+    if (data.partial) {
+      response.partial = true;
+      response.failedChunks = data.failedChunks;
+    }
+    return checkGlossary(response, glossary, target);
+  }
+  if (data.error) return { error: 'proxy_error', detail: data, endpoint };
+  return { error: 'proxy_no_translation', raw: data, endpoint };
+}
+
+async function handleAnalyzeText(text, { pin = false } = {}) {
+  const cacheKey = await analysisCacheKey(text);
+  const cached = await caches.analyses.get(cacheKey).catch(() => null);
+  if (cached) return { analysis: cached, cached: true };
+
+  const result = await callProxy({ text, action: 'analyze' });
+  if (result.error) return result;
+  const { data, endpoint } = result;
+  if (!data || !data.analysis) return { error: 'no_analysis', raw: data, endpoint };
+  caches.analyses.set(cacheKey, data.analysis, { pinned: pin })
+    .catch((err) => console.warn('Cache write failed', err));
+  return { analysis: data.analysis, endpoint };
+}
+
+async function handleGetTts(text, message) {
+  const voice = message.voice || null;
+  const cacheKey = await audioCacheKey(text, voice);
+  const cached = await caches.audio.get(cacheKey).catch(() => null);
+  if (cached) return { ...cached, cached: true };
+
+  const result = await callProxy({ text, tts: true, voice }, 25000);
+  // content.js falls back to the browser voices for this one
+  if (result.error && proxyErrorCode(result) === 'tts_not_configured') {
+    return { error: 'tts_not_configured', endpoint: result.endpoint };
+  }
+  if (result.error) return result;
+  const { data, endpoint } = result;
+  if (!data || !data.audio) return { error: 'no_audio', raw: data, endpoint };
+  const audio = { audio: data.audio, mime: data.mime || 'audio/mpeg' };
+  caches.audio.set(cacheKey, audio, { pinned: !!message.pin })
+    .catch((err) => console.warn('Cache write failed', err));
+  return { ...audio, endpoint };
 }
 
+// The pronunciation of `text` if it is in the audio cache, without asking the proxy (the Anki
+// export of review.js counts what would have to be generated)
+async function handleGetCachedTts(text, message) {
+  const cached = await caches.audio.get(await audioCacheKey(text, message.voice || null)).catch(() => null);
+  return cached ? { ...cached, cached: true } : { error: 'not_cached' };
+}
+
+// Pinning a text keeps its analysis and pronunciation (and its plain translation, if cached)
+// available offline: missing entries are fetched first. Responds with { pinned, analysis, audio }
+// telling which parts are now pinned.
+async function handleSetPinned(text, message) {
+  const pinned = !!message.pinned;
+  const target = message.target || (await settingsPromise).targetLang;
+  const analysisKey = await analysisCacheKey(text);
+  const audioKey = await audioCacheKey(text, message.voice);
+  const translationKey = await translationCacheKey({ target, text, context: '' }, await getProviderInfo());
+
+  const pinEntry = async (cache, key, fetchMissing) => {
+    if (await cache.setPinned(key, pinned)) return true;
+    if (!pinned) return false;
+    const resp = await fetchMissing();
+    return !resp.error;
+  };
+  const [analysis, audio] = await Promise.all([
+    pinEntry(caches.analyses, analysisKey, () => handleAnalyzeText(text, { pin: true })),
+    pinEntry(caches.audio, audioKey, () => handleGetTts(text, { voice: message.voice, pin: true }))
+  ]);
+  await caches.translations.setPinned(translationKey, pinned);
+  return { pinned, analysis, audio };
+}
+
+async function handleGetPinned(text) {
+  return { pinned: await caches.analyses.isPinned(await analysisCacheKey(text)) };
+}
+
+// Micro-batching: short plain translations requested within BATCH_WINDOW_MS of each other go
+// to the proxy together, as one { batch: [{ text }], target } request (see translate.js)
+const BATCH_WINDOW_MS = 30;
+const BATCH_MAX_ITEMS = 50;
+const BATCH_MAX_CHARS = 20000;
+const BATCHABLE_MAX_LENGTH = 1000;
+// the proxy accepts at most 100 glossary entries per request, and every item of a batch gets
+// all of them: a batch whose items need more is sent as several requests
+const BATCH_MAX_GLOSSARY_ENTRIES = 100;
+
+// Short plain translations are queued by target and style (see batching.js)
+const batchQueue = createBatchQueue({
+  windowMs: BATCH_WINDOW_MS,
+  maxItems: BATCH_MAX_ITEMS,
+  maxChars: BATCH_MAX_CHARS,
+  maxGlossaryEntries: BATCH_MAX_GLOSSARY_ENTRIES,
+  send: sendBatch
+});
+
+// Resolves to what callProxy() would have returned for this text alone
+function queueBatchTranslation(text, target, style = {}, glossary = []) {
+  const key = [target, ...STYLE_FIELDS.map((field) => style[field] || '')].join('|');
+  return batchQueue.queue(key, { target, style }, text, glossary);
+}
+
+// One proxy request for the texts of a batch; fans the response back out, one per text
+async function sendBatch({ texts, glossary }, { target, style }) {
+  const timeoutMs = 15000 + Math.min(45000, texts.length * 1000);
+  const payload = addStyle({ batch: texts.map((text) => ({ text })), target }, style);
+  if (glossary.length) payload.glossary = glossary;
+  const response = await callProxy(payload, timeoutMs);
+  const { data, endpoint } = response;
+  return texts.map((_, i) => {
+    if (response.error) return response;
+    const result = data?.results?.[i];
+    if (!result) return { data: null, endpoint };
+    return { data: result.translation ? { ...result, provider: data.provider, model: data.model } : result, endpoint };
+  });
+}
+
+// Many short strings at once (full-page translation). Responds with
+// { results: [{ translation } | { error }] } in the order of `texts`.
+async function handleTranslateBatch(message) {
+  const texts = Array.isArray(message.texts) ? message.texts.slice(0, BATCH_MAX_ITEMS) : [];
+  if (!texts.length) return { error: 'empty_text' };
+  const target = message.target || (await settingsPromise).targetLang;
+  const style = pickStyle(message);
+
+  const fresh = [];
+  const results = await Promise.all(texts.map(async (raw) => {
+    const text = String(raw || '').trim();
+    if (!text) return { error: 'empty_text' };
+    if (text.length > BATCHABLE_MAX_LENGTH) return handleTranslateText(text, { target, ...style });
+    const glossary = await glossaryForText(text, [target]);
+    const request = { target, text, context: '', ...style, glossary };
+    const cached = await getCachedTranslation(request).catch(() => null);
+    if (cached) return { translation: cached.translation, cached: true };
+    const result = await queueBatchTranslation(text, target, style, glossary);
+    if (result.error) return result;
+    const { data, endpoint } = result;
+    if (!data?.translation) return { error: 'proxy_no_translation', detail: data, endpoint };
+    fresh.push({ request, data });
+    return { translation: data.translation, endpoint };
+  }));
+  // one transaction for the whole batch
+  setCachedTranslations(fresh).catch((err) => console.warn('Cache write failed', err));
+  return { results };
+}
+
+// Identical requests in flight (the bubble clicked twice, the same string on many pages)
+// share one proxy call (see createDedupe in batching.js)
+const DEDUPED_TYPES = ['TRANSLATE_TEXT', 'ANALYZE_TEXT', 'GET_TTS'];
+const dedupe = createDedupe();
+
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   if (!message || !message.type) return;
 
+  // messages without a `text` to translate
+  const requestHandlers = {
+    TRANSLATE_BATCH: handleTranslateBatch,
+    GET_CACHE_STATS: handleGetCacheStats,
+    GET_PROXY_HEALTH: handleGetProxyHealth,
+    CLEAR_CACHE: handleClearCache,
+    NOTEBOOK_SAVE: handleNotebookSave,
+    NOTEBOOK_LOOKUP: handleNotebookLookup,
+    NOTEBOOK_LIST: handleNotebookList,
+    NOTEBOOK_REVIEW: handleNotebookReview,
+    NOTEBOOK_IMPORT: handleNotebookImport,
+    NOTEBOOK_DELETE: handleNotebookDelete,
+    HISTORY_SEARCH: handleHistorySearch,
+    HISTORY_REOPEN: handleHistoryReopen,
+    HISTORY_DELETE: handleHistoryDelete,
+    HISTORY_EXPORT: handleHistoryExport,
+    HISTORY_IMPORT: handleHistoryImport,
+    HISTORY_CLEAR: handleHistoryClear
+  };
+  if (requestHandlers[message.type]) {
+    requestHandlers[message.type](message).then(sendResponse, (err) => {
+      console.error(`${message.type} failed`, err);
+      sendResponse({ error: 'request_failed', message: String(err && err.message ? err.message : err) });
+    });
+    return true;
+  }
+
   const text = String(message.text || '').trim();
   if (!text) {
     sendResponse({ error: 'empty_text' });
     return true;
   }
-  if (text.length > 10000) {
+  const maxLength = message.type === 'TRANSLATE_TEXT' ? MAX_TEXT_LENGTH : MAX_ANALYSIS_LENGTH;
+  if (text.length > maxLength) {
     sendResponse({ error: 'text_too_long' });
     return true;
   }
 
-  // common proxy config
-  (async () => {
-    const { url: PROXY_URL, token } = await getProxyConfig();
+  const handlers = {
+    TRANSLATE_TEXT: handleTranslateText,
+    ANALYZE_TEXT: handleAnalyzeText,
+    GET_TTS: handleGetTts,
+    GET_CACHED_TTS: handleGetCachedTts,
+    SET_PINNED: handleSetPinned,
+    GET_PINNED: handleGetPinned
+  };
+  const handle = handlers[message.type];
+  if (!handle) {
+    sendResponse({ error: 'unknown_message_type' });
+    return true;
+  }
+
+  const run = () => handle(text, message);
+  const response = DEDUPED_TYPES.includes(message.type)
+    ? dedupe(JSON.stringify([
+      message.type, text, message.target || '', message.secondaryTarget || '',
+      ...STYLE_FIELDS.map((field) => message[field] || ''),
+      message.detailedAnalysis ?? '', message.context || '', message.voice || ''
+    ]), run)
+    : run();
+  if (message.type === 'TRANSLATE_TEXT' && message.history) {
+    response.then((resp) => {
+      if (resp && !resp.error) return recordHistory({ text, context: message.context, ...resp }, sender.tab);
+    }).catch((err) => console.warn('History write failed', err));
+  }
+  response.then(sendResponse, (err) => {
+    console.error('Proxy request failed', err);
+    sendResponse({ error: 'request_failed', message: String(err && err.message ? err.message : err) });
+  });
 
-    // Use AbortController to implement a timeout for the fetch
-    const controller = new AbortController();
-    const timeoutMs = message.type === 'GET_TTS' ? 25000 : 15000;
-    const timeout = setTimeout(() => controller.abort(), timeoutMs);
+  // Keep the message channel open for the asynchronous sendResponse
+  return true;
+});
 
-    try {
-      const headers = { 'Content-Type': 'application/json' };
-      if (token) headers['x-proxy-token'] = token;
-
-      if (message.type === 'TRANSLATE_TEXT') {
-        const target = message.target || 'it';
-        const context = message.context || '';
-        // Check cache first (cache key now includes context hash if present)
-        const cacheKey = context ? `t:${target}|${text}|${context.substring(0, 50)}` : `t:${target}|${text}`;
-        try {
-          const cached = await getCachedTranslation(cacheKey);
-          if (cached) {
-            sendResponse({ translation: cached, cached: true });
-            clearTimeout(timeout);
-            return;
-          }
-        } catch (err) {
-          console.warn('Cache read failed', err);
-        }
-
-        const payload = { text, target };
-        if (context) {
-          payload.context = context;
-          payload.detailedAnalysis = true; // Request detailed analysis when context is provided
-        }
-
-        const resp = await fetch(PROXY_URL, {
-          method: 'POST',
-          headers,
-          body: JSON.stringify(payload),
-          signal: controller.signal
-        });
-
-        clearTimeout(timeout);
-        if (!resp.ok) {
-          const txt = await resp.text().catch(() => '');
-          console.error('Proxy responded with error', resp.status, txt);
-          sendResponse({ error: 'proxy_error', status: resp.status, message: txt });
-          return;
-        }
-
-        const data = await resp.json().catch(() => null);
-        if (!data) { sendResponse({ error: 'invalid_response' }); return; }
-        if (data.translation) {
-          // Only cache simple translations, not detailed analysis
-          if (!context) {
-            setCachedTranslation(cacheKey, data.translation).catch(() => {});
-          }
-          // Send back translation along with detailed analysis if available
-          const response = { translation: data.translation };
-          if (data.detailedAnalysis) {
-            response.detailedAnalysis = data.detailedAnalysis;
-          }
-          sendResponse(response);
-        } else if (data.error) {
-          sendResponse({ error: 'proxy_error', detail: data });
-        } else {
-          sendResponse({ error: 'proxy_no_translation', raw: data });
-        }
-        return;
-      }
+// Streaming translations: content.js opens a 'translate-stream' port and posts one
+// { type: 'TRANSLATE_STREAM', text, target, secondaryTarget, formality, fidelity, domain, context, history }
+// message. It then receives
+// { type: 'delta', text } messages followed by { type: 'done', translation, detectedSource, target, glossaryViolations? } or
+// { type: 'error', error, ... }; a proxy stream that ends without either is reported as the
+// error 'stream_incomplete'. A { type: 'reset' } in between discards the deltas received so far
+// (the translation starts again, into the secondary target). Disconnecting the port (popup
+// closed) cancels the request.
+const STREAM_IDLE_TIMEOUT_MS = 15000;
+
+// Open the event stream of one endpoint: { resp, controller, unfollow } or { error, ... }.
+// Aborting `controller` cancels the response; it follows `signal` (popup closed) until the
+// caller is done with the response and calls `unfollow`. A failed attempt stops following it
+// at once: failover and retries would otherwise pile up listeners on the same signal.
+async function openStreamOnce(endpoint, payload, signal) {
+  if (signal.aborted) return { error: 'aborted' };
+  const controller = new AbortController();
+  const onAbort = () => controller.abort();
+  const unfollow = () => signal.removeEventListener('abort', onAbort);
+  signal.addEventListener('abort', onAbort, { once: true });
+  const timeout = setTimeout(() => controller.abort(), STREAM_IDLE_TIMEOUT_MS);
+  let opened = false;
+  try {
+    const resp = await fetch(endpoint.url, {
+      method: 'POST',
+      headers: proxyHeaders(endpoint),
+      body: JSON.stringify(payload),
+      signal: controller.signal
+    });
+    if (!resp.ok) return proxyErrorFromResponse(resp);
+    opened = true;
+    return { resp, controller, unfollow };
+  } catch (err) {
+    if (signal.aborted) return { error: 'aborted' };
+    return requestFailure(err);
+  } finally {
+    clearTimeout(timeout);
+    if (!opened) unfollow();
+  }
+}
+
+async function streamTranslation({ text, target, secondaryTarget, style, context }, signal, post) {
+  const glossary = await glossaryForText(text, [target, secondaryTarget]);
+  const request = { target, text, context, secondaryTarget, ...style, glossary };
+  const cached = await getCachedTranslation(request).catch(() => null);
+  if (cached) {
+    post(checkGlossary({ type: 'done', ...cached, cached: true }, glossary, target));
+    return;
+  }
+
+  const payload = addStyle({ text, target, stream: true }, style);
+  if (context) payload.context = context;
+  if (secondaryTarget) payload.secondaryTarget = secondaryTarget;
+  if (glossary.length) payload.glossary = glossary;
+
+  // failover and retries only until the stream starts: once text has been shown in the popup
+  // a failure is final
+  const opened = await withFailover(await getProxyEndpoints(), (endpoint) => openStreamOnce(endpoint, payload, signal));
+  if (opened.error) {
+    if (opened.error !== 'aborted') post({ type: 'error', ...opened });
+    return;
+  }
+  const { resp, controller, unfollow, endpoint } = opened;
+
+  // the timeout only fires when the proxy stays silent: long texts may stream for a while
+  let idleTimer = null;
+  const resetIdleTimer = () => {
+    clearTimeout(idleTimer);
+    idleTimer = setTimeout(() => controller.abort(), STREAM_IDLE_TIMEOUT_MS);
+  };
+  resetIdleTimer();
+
+  // set by the `done` or `error` event that ends the stream
+  let finished = false;
+  const handleBlock = (block) => {
+    const data = block.split('\n').filter((line) => line.startsWith('data:')).map((line) => line.slice(5).trim()).join('');
+    if (!data) return;
+    const event = JSON.parse(data);
+    if (event.delta) {
+      post({ type: 'delta', text: event.delta });
+    } else if (event.reset) {
+      post({ type: 'reset' });
+    } else if (event.done) {
+      finished = true;
+      rememberProviderInfo(endpoint, event);
+      if (!event.partial) setCachedTranslation(request, event).catch((err) => console.warn('Cache write failed', err));
+      post(checkGlossary({
+        type: 'done',
+        translation: event.translation,
+        ...pickSourceInfo(event),
+        partial: !!event.partial,
+        failedChunks: event.failedChunks,
+        endpoint
+      }, glossary, target));
+    } else if (event.chunkError) {
+      console.warn('Chunk could not be translated', event.chunkError);
+    } else if (event.error) {
+      finished = true;
+      post({ type: 'error', error: 'proxy_error', detail: event, endpoint });
+    }
+  };
 
-      if (message.type === 'ANALYZE_TEXT') {
-        const resp = await fetch(PROXY_URL, {
-          method: 'POST',
-          headers,
-          body: JSON.stringify({ text, action: 'analyze' }),
-          signal: controller.signal
-        });
-
-        clearTimeout(timeout);
-        if (!resp.ok) {
-          const txt = await resp.text().catch(() => '');
-          console.error('Proxy analyze error', resp.status, txt);
-          sendResponse({ error: 'proxy_error', status: resp.status, message: txt });
-          return;
-        }
-        const data = await resp.json().catch(() => null);
-        if (!data || !data.analysis) { sendResponse({ error: 'no_analysis', raw: data }); return; }
-        sendResponse({ analysis: data.analysis });
-        return;
+  try {
+    // server-sent events, one JSON object per `data:` block (see streamTranslation in translate.js)
+    const reader = resp.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    for (;;) {
+      const { value, done } = await reader.read();
+      if (done) break;
+      resetIdleTimer();
+      buffer += decoder.decode(value, { stream: true });
+      let sep;
+      while ((sep = buffer.indexOf('\n\n')) !== -1) {
+        handleBlock(buffer.slice(0, sep));
+        buffer = buffer.slice(sep + 2);
       }
+    }
+    // a last event without its blank line
+    if (buffer.trim()) handleBlock(buffer + decoder.decode());
+    if (!finished) {
+      // the proxy went away mid-stream (e.g. killed by the function timeout of the host)
+      console.error('Proxy stream ended without a result');
+      getCircuitBreaker(endpoint).recordFailure();
+      post({ type: 'error', error: 'stream_incomplete', endpoint });
+    }
+  } catch (err) {
+    if (signal.aborted) return; // popup closed: nobody is listening anymore
+    getCircuitBreaker(endpoint).recordFailure();
+    if (err.name === 'AbortError') {
+      console.error('Proxy stream timed out');
+      post({ type: 'error', error: 'timeout', endpoint });
+    } else {
+      console.error('Proxy stream failed', err);
+      post({ type: 'error', error: 'request_failed', message: String(err && err.message ? err.message : err), endpoint });
+    }
+  } finally {
+    clearTimeout(idleTimer);
+    unfollow();
+  }
+}
 
-      if (message.type === 'GET_TTS') {
-        const voice = message.voice || null;
-        const resp = await fetch(PROXY_URL, {
-          method: 'POST',
-          headers,
-          body: JSON.stringify({ text, tts: true, voice }),
-          signal: controller.signal
-        });
-
-        clearTimeout(timeout);
-        if (!resp.ok) {
-          const txt = await resp.text().catch(() => '');
-          console.error('TTS proxy error', resp.status, txt);
-          sendResponse({ error: 'proxy_error', status: resp.status, message: txt });
-          return;
-        }
-
-        const data = await resp.json().catch(() => null);
-        if (!data || !data.audio) { sendResponse({ error: 'no_audio', raw: data }); return; }
-        sendResponse({ audio: data.audio, mime: data.mime || 'audio/mpeg' });
-        return;
+// { endpoints: [{ url, state, failures, retryAfter? }] } for the options page
+async function handleGetProxyHealth() {
+  const endpoints = await getProxyEndpoints();
+  return { endpoints: endpoints.map(({ url }) => ({ url, ...getCircuitBreaker(url).health() })) };
+}
+
+chrome.runtime.onConnect.addListener((port) => {
+  if (port.name !== 'translate-stream') return;
+  const controller = new AbortController();
+  port.onDisconnect.addListener(() => controller.abort());
+  const post = (msg) => {
+    if (!controller.signal.aborted) port.postMessage(msg);
+  };
+
+  port.onMessage.addListener(async (message) => {
+    if (!message || message.type !== 'TRANSLATE_STREAM') return;
+    const postAndRecord = (msg) => {
+      if (msg.type === 'done' && message.history) {
+        recordHistory({ text, context: message.context, ...msg }, port.sender?.tab)
+          .catch((err) => console.warn('History write failed', err));
       }
+      post(msg);
+    };
+    const text = String(message.text || '').trim();
+    if (!text) { post({ type: 'error', error: 'empty_text' }); return; }
+    if (text.length > MAX_TEXT_LENGTH) { post({ type: 'error', error: 'text_too_long' }); return; }
+    const target = message.target || (await settingsPromise).targetLang;
+    const request = {
+      text,
+      target,
+      secondaryTarget: message.secondaryTarget || null,
+      style: pickStyle(message),
+      context: message.context || ''
+    };
+    await streamTranslation(request, controller.signal, postAndRecord);
+  });
+});
 
-      // unknown type
-      sendResponse({ error: 'unknown_message_type' });
-      clearTimeout(timeout);
-    } catch (err) {
-      clearTimeout(timeout);
-      if (err.name === 'AbortError') {
-        console.error('Proxy request timed out');
-        sendResponse({ error: 'timeout' });
-      } else {
-        console.error('Proxy request failed', err);
-        sendResponse({ error: 'request_failed', message: String(err && err.message ? err.message : err) });
+// Context menu entries and the `translate-selection` shortcut ask the content script
+// of the tab to run the same flow as the ✦ bubble on the current selection
+const MENU_ACTIONS = {
+  'st-translate': 'translate',
+  'st-analyze': 'analyze',
+  'st-pronounce': 'pronounce'
+};
+const PAGE_MENU_ACTIONS = {
+  'st-translate-page': 'translate-page',
+  'st-bilingual': 'toggle-bilingual'
+};
+
+chrome.runtime.onInstalled.addListener(() => {
+  chrome.contextMenus.removeAll(() => {
+    chrome.contextMenus.create({ id: 'st-root', title: 'SmartTranslate+', contexts: ['selection'] });
+    chrome.contextMenus.create({ id: 'st-translate', parentId: 'st-root', title: 'Translate with SmartTranslate+', contexts: ['selection'] });
+    chrome.contextMenus.create({ id: 'st-analyze', parentId: 'st-root', title: 'Analyze', contexts: ['selection'] });
+    chrome.contextMenus.create({ id: 'st-pronounce', parentId: 'st-root', title: 'Pronounce', contexts: ['selection'] });
+    chrome.contextMenus.create({ id: 'st-translate-page', title: 'Translate this page with SmartTranslate+', contexts: ['page'] });
+    chrome.contextMenus.create({ id: 'st-bilingual', title: 'Bilingual reading on this site (on/off)', contexts: ['page'] });
+  });
+});
+
+// Resolves to false when the tab cannot run the content script (e.g. chrome:// pages)
+async function sendToContentScript(tab, message, frameId) {
+  if (!tab || tab.id === undefined || tab.id < 0) return false;
+  const options = frameId !== undefined ? { frameId } : {};
+  try {
+    await chrome.tabs.sendMessage(tab.id, message, options);
+    return true;
+  } catch (err) {
+    // No content script in the tab (e.g. it was open before the extension was installed
+    // or reloaded): inject it where it is missing and try once more. Frames that have it
+    // are skipped, re-running the scripts there would redeclare their globals.
+    try {
+      const target = frameId !== undefined ? { tabId: tab.id, frameIds: [frameId] } : { tabId: tab.id, allFrames: true };
+      const probes = await chrome.scripting.executeScript({ target, func: () => !!globalThis.smartTranslateLoaded });
+      const missing = probes.filter((probe) => !probe.result).map((probe) => probe.frameId);
+      if (missing.length) {
+        const injectTarget = { tabId: tab.id, frameIds: missing };
+        await chrome.scripting.insertCSS({ target: injectTarget, files: ['popup.css'] });
+        await chrome.scripting.executeScript({ target: injectTarget, files: ['settings.js', 'rules.js', 'content.js', 'fullpage.js', 'bilingual.js'] });
       }
+      await chrome.tabs.sendMessage(tab.id, message, options);
+      return true;
+    } catch (injectErr) {
+      console.warn('Cannot run SmartTranslate+ in this tab', injectErr);
+      return false;
     }
-  })();
+  }
+}
 
-  // Keep the message channel open for the asynchronous sendResponse
-  return true;
+function runSelectionAction(tab, action, frameId) {
+  return sendToContentScript(tab, { type: 'SELECTION_ACTION', action }, frameId);
+}
+
+// The whole page is translated from the top frame only (see fullpage.js)
+function runPageAction(tab, action) {
+  return sendToContentScript(tab, { type: 'PAGE_ACTION', action }, 0);
+}
+
+chrome.contextMenus.onClicked.addListener((info, tab) => {
+  if (PAGE_MENU_ACTIONS[info.menuItemId]) {
+    runPageAction(tab, PAGE_MENU_ACTIONS[info.menuItemId]);
+    return;
+  }
+  const action = MENU_ACTIONS[info.menuItemId];
+  if (action) runSelectionAction(tab, action, info.frameId);
+});
+
+chrome.commands.onCommand.addListener(async (command, tab) => {
+  if (command !== 'translate-selection') return;
+  if (!tab) [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+  runSelectionAction(tab, 'translate');
 });
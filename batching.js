@@ -0,0 +1,83 @@
+// Micro-batching and in-flight dedupe of proxy requests for the background worker (loaded with
+// importScripts). Nothing here talks to the proxy: background.js passes in how a batch is sent.
+//
+// A batch queue collects the items queued under the same key (same target and style) for
+// `windowMs`, then sends them together. A batch is sent early once it holds `maxItems` items,
+// and an item that would take it over `maxChars` characters starts a new batch. Every caller
+// gets a promise of its own item's response, which always settles, even if the send fails.
+
+// Consecutive items grouped so that the glossary entries of each group, once each, stay within
+// `maxEntries`: [{ items, glossary: Map }]
+function splitBatchByGlossary(items, maxEntries) {
+  const groups = [];
+  let group = null;
+  items.forEach((item) => {
+    const entries = item.glossary.map((entry) => [`${entry.term.toLowerCase()}|${entry.lang}`, entry]);
+    const added = entries.filter(([entryKey]) => !group?.glossary.has(entryKey)).length;
+    if (!group || group.glossary.size + added > maxEntries) {
+      group = { items: [], glossary: new Map() };
+      groups.push(group);
+    }
+    group.items.push(item);
+    entries.forEach(([entryKey, entry]) => group.glossary.set(entryKey, entry));
+  });
+  return groups;
+}
+
+// `send({ texts, glossary }, batch)` resolves to the responses of the texts, in order; `glossary`
+// holds the entries of all of them and `batch` is what queue() was given for the key
+function createBatchQueue({ windowMs, maxItems, maxChars, maxGlossaryEntries, send }) {
+  // key -> { batch, items: [{ text, glossary, resolve }], chars, timer }
+  const pending = new Map();
+
+  async function sendGroup({ items, glossary }, batch) {
+    try {
+      const responses = await send({ texts: items.map(({ text }) => text), glossary: [...glossary.values()] }, batch);
+      items.forEach(({ resolve }, i) => resolve(responses[i]));
+    } catch (err) {
+      // every caller waits on its own promise: none may be left pending
+      console.error('Batch translation failed', err);
+      items.forEach(({ resolve }) => resolve({ error: 'request_failed', message: String(err && err.message ? err.message : err) }));
+    }
+  }
+
+  function flush(key) {
+    const current = pending.get(key);
+    if (!current) return;
+    pending.delete(key);
+    clearTimeout(current.timer);
+    splitBatchByGlossary(current.items, maxGlossaryEntries).forEach((group) => sendGroup(group, current.batch));
+  }
+
+  // Resolves to the response of `text` alone
+  function queue(key, batch, text, glossary = []) {
+    return new Promise((resolve) => {
+      let current = pending.get(key);
+      if (current && current.chars + text.length > maxChars) {
+        flush(key);
+        current = null;
+      }
+      if (!current) {
+        current = { batch, items: [], chars: 0, timer: setTimeout(() => flush(key), windowMs) };
+        pending.set(key, current);
+      }
+      current.items.push({ text, glossary, resolve });
+      current.chars += text.length;
+      if (current.items.length >= maxItems) flush(key);
+    });
+  }
+
+  return { queue, flush };
+}
+
+// Identical requests in flight share one promise: dedupe(key, run) calls run() only when no
+// request with that key is pending, and forgets the key once it settles
+function createDedupe() {
+  const inFlight = new Map();
+  return function dedupe(key, run) {
+    if (inFlight.has(key)) return inFlight.get(key);
+    const promise = run().finally(() => inFlight.delete(key));
+    inFlight.set(key, promise);
+    return promise;
+  };
+}
@@ -0,0 +1,219 @@
+// Bilingual reading mode: every paragraph (CONTEXT_BLOCK_TAGS, see content.js) gets its
+// translation in a block right below it. Paragraphs are translated as they come into view,
+// through the usual TRANSLATE_TEXT path (and so its cache). Clicking a word of a translation
+// highlights the matching part of the source paragraph.
+// The mode is remembered per site in the `bilingualSites` setting and toggled from the
+// context menu. Relies on content.js (sendMessageAsync, CONTEXT_BLOCK_TAGS), rules.js (the
+// target language and tone of the site) and fullpage.js.
+
+const BILINGUAL_BLOCK_SELECTOR = CONTEXT_BLOCK_TAGS.map((tag) => tag.toLowerCase()).join(',');
+// list items and cells get the translation inside them, a block after them would break the list/table
+const BILINGUAL_INSIDE_TAGS = ['LI', 'TD', 'TH'];
+const BILINGUAL_MAX_LENGTH = 5000;
+const BILINGUAL_CONCURRENCY = 3;
+const BILINGUAL_HIGHLIGHT = 'st-bilingual-source';
+
+// null when the mode is off, otherwise { blocks: Map<Element, Element>, observer, queue, active }
+let _bilingual = null;
+
+function segmentWords(text, lang) {
+  if (typeof Intl.Segmenter === 'function') {
+    const segmenter = new Intl.Segmenter(lang, { granularity: 'word' });
+    return Array.from(segmenter.segment(text))
+      .filter((s) => s.isWordLike)
+      .map((s) => ({ word: s.segment, index: s.index }));
+  }
+  return Array.from(text.matchAll(/[\p{L}\p{N}]+(?:['’-][\p{L}\p{N}]+)*/gu), (m) => ({ word: m[0], index: m.index }));
+}
+
+// Text nodes of a paragraph, without our own translation block
+function paragraphTextNodes(el) {
+  const walker = document.createTreeWalker(el, NodeFilter.SHOW_TEXT, {
+    acceptNode: (node) => (node.parentElement.closest('[data-smarttranslate]') ? NodeFilter.FILTER_REJECT : NodeFilter.FILTER_ACCEPT)
+  });
+  const nodes = [];
+  while (walker.nextNode()) nodes.push(walker.currentNode);
+  return nodes;
+}
+
+function paragraphText(el) {
+  return paragraphTextNodes(el).map((node) => node.nodeValue).join('').replace(/\s+/g, ' ').trim();
+}
+
+// Innermost paragraphs only: a DIV wrapping other paragraphs is left to its children
+function isBilingualParagraph(el) {
+  if (el.closest(PAGE_SKIP_SELECTOR) || el.querySelector(BILINGUAL_BLOCK_SELECTOR)) return false;
+  const text = paragraphText(el);
+  return /\p{L}/u.test(text) && text.length > 1 && text.length <= BILINGUAL_MAX_LENGTH;
+}
+
+function createBilingualBlock(el) {
+  const block = document.createElement('div');
+  block.className = 'st-bilingual-block st-loading';
+  block.setAttribute('data-smarttranslate', 'bilingual');
+  block.textContent = '…';
+  if (BILINGUAL_INSIDE_TAGS.includes(el.tagName)) el.appendChild(block);
+  else el.insertAdjacentElement('afterend', block);
+  return block;
+}
+
+function renderBilingualTranslation(block, translation, lang) {
+  block.classList.remove('st-loading');
+  block.textContent = '';
+  block.lang = lang;
+  let last = 0;
+  segmentWords(translation, lang).forEach(({ word, index }, i) => {
+    if (index > last) block.appendChild(document.createTextNode(translation.slice(last, index)));
+    const span = document.createElement('span');
+    span.className = 'st-bilingual-word';
+    span.dataset.index = String(i);
+    span.textContent = word;
+    block.appendChild(span);
+    last = index + word.length;
+  });
+  if (last < translation.length) block.appendChild(document.createTextNode(translation.slice(last)));
+}
+
+async function translateBilingualParagraph(el) {
+  const block = _bilingual.blocks.get(el);
+  const text = paragraphText(el);
+  const rules = siteRulesForPage();
+  const target = rules.target || _settings.targetLang;
+  const resp = await sendMessageAsync({ type: 'TRANSLATE_TEXT', text, target, ...translationStyleFor(rules) });
+  if (!block.isConnected) return;
+  if (!resp || resp.error) {
+    console.error('Errore traduzione paragrafo:', resp);
+    block.classList.remove('st-loading');
+    block.classList.add('st-error');
+    block.textContent = describeTranslationError(resp);
+    return;
+  }
+  renderBilingualTranslation(block, resp.translation, target);
+}
+
+async function processBilingualQueue() {
+  const mode = _bilingual;
+  while (_bilingual === mode && mode.queue.length && mode.active < BILINGUAL_CONCURRENCY) {
+    const el = mode.queue.shift();
+    mode.active++;
+    translateBilingualParagraph(el)
+      .catch((err) => console.error('Bilingual translation failed', err))
+      .finally(() => {
+        mode.active--;
+        processBilingualQueue();
+      });
+  }
+}
+
+// Source word matching the clicked translated word: the same word when it occurs in the source
+// (names, numbers, cognates), otherwise the word at the same relative position
+function matchSourceWord(sourceWords, translatedWords, index) {
+  const clicked = translatedWords[index].toLocaleLowerCase();
+  const relative = translatedWords.length > 1 ? index / (translatedWords.length - 1) : 0;
+  const expected = Math.round(relative * (sourceWords.length - 1));
+  const exact = sourceWords
+    .map((w, i) => (w.word.toLocaleLowerCase() === clicked ? i : -1))
+    .filter((i) => i !== -1);
+  if (!exact.length) return expected;
+  return exact.reduce((best, i) => (Math.abs(i - expected) < Math.abs(best - expected) ? i : best));
+}
+
+function sourceWordRanges(el) {
+  const words = [];
+  paragraphTextNodes(el).forEach((node) => {
+    segmentWords(node.nodeValue).forEach(({ word, index }) => {
+      const range = document.createRange();
+      range.setStart(node, index);
+      range.setEnd(node, index + word.length);
+      words.push({ word, range });
+    });
+  });
+  return words;
+}
+
+function clearBilingualHighlight() {
+  if (window.CSS && CSS.highlights) CSS.highlights.delete(BILINGUAL_HIGHLIGHT);
+  document.querySelectorAll('.st-bilingual-word.st-active').forEach((span) => span.classList.remove('st-active'));
+}
+
+function onBilingualClick(ev) {
+  const span = ev.target.closest && ev.target.closest('.st-bilingual-word');
+  clearBilingualHighlight();
+  if (!span || !_bilingual) return;
+  const block = span.closest('.st-bilingual-block');
+  const entry = [..._bilingual.blocks].find(([, b]) => b === block);
+  if (!entry) return;
+
+  const sourceWords = sourceWordRanges(entry[0]);
+  if (!sourceWords.length) return;
+  const translatedWords = [...block.querySelectorAll('.st-bilingual-word')].map((s) => s.textContent);
+  const match = sourceWords[matchSourceWord(sourceWords, translatedWords, Number(span.dataset.index))];
+
+  span.classList.add('st-active');
+  // CSS Custom Highlight API: highlights the range without touching the page DOM
+  if (window.CSS && CSS.highlights && typeof Highlight === 'function') {
+    CSS.highlights.set(BILINGUAL_HIGHLIGHT, new Highlight(match.range));
+  }
+}
+
+function startBilingual() {
+  if (_bilingual) return;
+  if (_pageMode) stopPageTranslation();
+  _bilingual = { blocks: new Map(), queue: [], active: 0, observer: null };
+
+  // translate paragraphs shortly before they scroll into view
+  _bilingual.observer = new IntersectionObserver((entries) => {
+    entries.forEach((entry) => {
+      if (!entry.isIntersecting || !_bilingual) return;
+      _bilingual.observer.unobserve(entry.target);
+      _bilingual.queue.push(entry.target);
+    });
+    processBilingualQueue();
+  }, { rootMargin: '600px 0px' });
+
+  document.querySelectorAll(BILINGUAL_BLOCK_SELECTOR).forEach((el) => {
+    if (!isBilingualParagraph(el)) return;
+    _bilingual.blocks.set(el, createBilingualBlock(el));
+    _bilingual.observer.observe(el);
+  });
+  document.addEventListener('click', onBilingualClick, true);
+}
+
+function stopBilingual() {
+  if (!_bilingual) return;
+  _bilingual.observer.disconnect();
+  _bilingual.blocks.forEach((block) => block.remove());
+  clearBilingualHighlight();
+  document.removeEventListener('click', onBilingualClick, true);
+  _bilingual = null;
+}
+
+// Follow the `bilingualSites` setting, so toggling it in one tab updates every tab of the site
+async function syncBilingualWithSettings() {
+  const { bilingualSites } = await loadSettings();
+  if (bilingualSites.includes(location.hostname)) startBilingual();
+  else stopBilingual();
+}
+
+async function toggleBilingualForSite() {
+  const { bilingualSites } = await loadSettings();
+  const host = location.hostname;
+  const sites = bilingualSites.includes(host)
+    ? bilingualSites.filter((site) => site !== host)
+    : bilingualSites.concat(host);
+  await saveSettings({ bilingualSites: sites });
+}
+
+if (window === window.top && location.hostname) {
+  syncBilingualWithSettings();
+  onSettingsChanged((changed) => {
+    if (changed.includes('bilingualSites')) syncBilingualWithSettings();
+  });
+}
+
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  if (message && message.type === 'PAGE_ACTION' && message.action === 'toggle-bilingual') {
+    sendResponse({ ok: true });
+    toggleBilingualForSite();
+  }
+});
@@ -0,0 +1,258 @@
+// Persistent caches for the background worker, stored in IndexedDB (loaded with importScripts).
+// Every cache is an object store of { key, value, size, createdAt, lastUsed, pinned } records:
+// - entries older than the TTL count as misses and are deleted by sweep(), which background.js
+//   runs periodically from a chrome.alarms alarm
+// - when the total size goes over the cap, the least recently used entries are evicted
+// - pinned entries never expire nor get evicted (and do not count towards the cap)
+// - hits, misses and evictions are counted (since the last clear) for the options page
+
+const CACHE_DB_NAME = 'smarttranslate-cache';
+const CACHE_DB_VERSION = 2;
+const CACHE_STORES = ['translations', 'analyses', 'audio'];
+const CACHE_STATS_STORE = 'stats';
+const CACHE_STATS_FLUSH_MS = 2000;
+
+let _cacheDbPromise = null;
+
+function openCacheDb() {
+  if (!_cacheDbPromise) {
+    _cacheDbPromise = new Promise((resolve, reject) => {
+      const req = indexedDB.open(CACHE_DB_NAME, CACHE_DB_VERSION);
+      req.onupgradeneeded = () => {
+        const db = req.result;
+        CACHE_STORES.forEach((name) => {
+          if (db.objectStoreNames.contains(name)) return;
+          db.createObjectStore(name, { keyPath: 'key' }).createIndex('lastUsed', 'lastUsed');
+        });
+        if (!db.objectStoreNames.contains(CACHE_STATS_STORE)) {
+          db.createObjectStore(CACHE_STATS_STORE, { keyPath: 'store' });
+        }
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+    // let the next call try again instead of keeping a failed open forever
+    _cacheDbPromise.catch(() => { _cacheDbPromise = null; });
+  }
+  return _cacheDbPromise;
+}
+
+function idbRequest(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+function idbTransactionDone(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error('transaction aborted'));
+  });
+}
+
+// Visit every record of `source` (a store or an index) with a cursor; `visit(cursor)` may
+// update or delete the current record
+function idbIterate(source, direction, visit) {
+  return new Promise((resolve, reject) => {
+    const req = source.openCursor(null, direction);
+    req.onsuccess = () => {
+      const cursor = req.result;
+      if (!cursor) return resolve();
+      visit(cursor);
+      cursor.continue();
+    };
+    req.onerror = () => reject(req.error);
+  });
+}
+
+// Rough size in bytes of a cached value (JS strings are UTF-16)
+function estimateSize(value) {
+  return (typeof value === 'string' ? value.length : JSON.stringify(value).length) * 2;
+}
+
+// `getTtlMs()` and `getMaxBytes()` are read on every use so option changes apply immediately;
+// a TTL of 0 disables the cache (pinned entries stay available).
+function createIdbCache({ store, getTtlMs, getMaxBytes }) {
+  let statsPromise = null;
+  let statsTimer = null;
+
+  function loadStats() {
+    if (!statsPromise) {
+      statsPromise = openCacheDb()
+        .then((db) => idbRequest(db.transaction(CACHE_STATS_STORE).objectStore(CACHE_STATS_STORE).get(store)))
+        .then((saved) => ({ hits: 0, misses: 0, evictions: 0, ...saved, store }))
+        .catch(() => ({ store, hits: 0, misses: 0, evictions: 0 }));
+    }
+    return statsPromise;
+  }
+
+  // counters are written back shortly after they change, not on every lookup
+  async function count(counter, amount = 1) {
+    const stats = await loadStats();
+    stats[counter] += amount;
+    if (statsTimer) return;
+    statsTimer = setTimeout(async () => {
+      statsTimer = null;
+      try {
+        const db = await openCacheDb();
+        const tx = db.transaction(CACHE_STATS_STORE, 'readwrite');
+        tx.objectStore(CACHE_STATS_STORE).put(stats);
+        await idbTransactionDone(tx);
+      } catch (err) {
+        console.warn('Cache stats write failed', err);
+      }
+    }, CACHE_STATS_FLUSH_MS);
+  }
+
+  const isFresh = (record, ttlMs, now) => record.pinned || (!!ttlMs && now - record.createdAt <= ttlMs);
+
+  async function get(key) {
+    const ttlMs = await getTtlMs();
+    const db = await openCacheDb();
+    const tx = db.transaction(store, 'readwrite');
+    const objectStore = tx.objectStore(store);
+    const record = await idbRequest(objectStore.get(key));
+    let value = null;
+    if (record && isFresh(record, ttlMs, Date.now())) {
+      record.lastUsed = Date.now();
+      objectStore.put(record);
+      value = record.value;
+    } else if (record) {
+      objectStore.delete(key);
+    }
+    await idbTransactionDone(tx);
+    count(value !== null ? 'hits' : 'misses');
+    return value;
+  }
+
+  // `entries` is a list of { key, value, pinned }; replacing an entry keeps it pinned
+  async function setMany(entries) {
+    if (!entries.length) return;
+    if (!(await getTtlMs()) && !entries.some((entry) => entry.pinned)) return;
+    const db = await openCacheDb();
+    const tx = db.transaction(store, 'readwrite');
+    const objectStore = tx.objectStore(store);
+    const now = Date.now();
+    entries.forEach(({ key, value, pinned }) => {
+      objectStore.get(key).onsuccess = (ev) => {
+        const previous = ev.target.result;
+        objectStore.put({
+          key,
+          value,
+          size: estimateSize(value),
+          createdAt: now,
+          lastUsed: now,
+          pinned: !!pinned || !!previous?.pinned
+        });
+      };
+    });
+    await idbTransactionDone(tx);
+    scheduleEviction();
+  }
+
+  function set(key, value, { pinned = false } = {}) {
+    return setMany([{ key, value, pinned }]);
+  }
+
+  // Resolves to false when there is no such entry
+  async function setPinned(key, pinned) {
+    const db = await openCacheDb();
+    const tx = db.transaction(store, 'readwrite');
+    const objectStore = tx.objectStore(store);
+    const record = await idbRequest(objectStore.get(key));
+    if (record) {
+      record.pinned = !!pinned;
+      // an unpinned entry starts its TTL again rather than expiring on the spot
+      if (!pinned) record.createdAt = Date.now();
+      objectStore.put(record);
+    }
+    await idbTransactionDone(tx);
+    return !!record;
+  }
+
+  async function isPinned(key) {
+    const db = await openCacheDb();
+    const record = await idbRequest(db.transaction(store).objectStore(store).get(key));
+    return !!record?.pinned;
+  }
+
+  // Keep the most recently used entries that fit in the size cap, delete the rest (but pinned ones)
+  async function evict() {
+    const maxBytes = await getMaxBytes();
+    const db = await openCacheDb();
+    const tx = db.transaction(store, 'readwrite');
+    let total = 0;
+    let evicted = 0;
+    await idbIterate(tx.objectStore(store).index('lastUsed'), 'prev', (cursor) => {
+      if (cursor.value.pinned) return;
+      total += cursor.value.size || 0;
+      if (total > maxBytes) {
+        cursor.delete();
+        evicted++;
+      }
+    });
+    await idbTransactionDone(tx);
+    if (evicted) count('evictions', evicted);
+  }
+
+  // writes come in bursts (a translated page): evict once the burst is over
+  let evictionTimer = null;
+  function scheduleEviction() {
+    clearTimeout(evictionTimer);
+    evictionTimer = setTimeout(() => {
+      evict().catch((err) => console.warn('Cache eviction failed', err));
+    }, 1000);
+  }
+
+  // Delete the expired entries, then enforce the size cap
+  async function sweep() {
+    const ttlMs = await getTtlMs();
+    const db = await openCacheDb();
+    const tx = db.transaction(store, 'readwrite');
+    const now = Date.now();
+    await idbIterate(tx.objectStore(store), 'next', (cursor) => {
+      if (!isFresh(cursor.value, ttlMs, now)) cursor.delete();
+    });
+    await idbTransactionDone(tx);
+    await evict();
+  }
+
+  // Pinned entries survive unless `includePinned` is set
+  async function clear({ includePinned = false } = {}) {
+    // the counters start again from zero, including those not written back yet: a pending
+    // write would otherwise restore the old ones after the stats row is deleted
+    clearTimeout(statsTimer);
+    statsTimer = null;
+    Object.assign(await loadStats(), { hits: 0, misses: 0, evictions: 0 });
+    const db = await openCacheDb();
+    const tx = db.transaction([store, CACHE_STATS_STORE], 'readwrite');
+    tx.objectStore(CACHE_STATS_STORE).delete(store);
+    if (includePinned) tx.objectStore(store).clear();
+    else {
+      await idbIterate(tx.objectStore(store), 'next', (cursor) => {
+        if (!cursor.value.pinned) cursor.delete();
+      });
+    }
+    await idbTransactionDone(tx);
+  }
+
+  // { entries, bytes, pinned, hits, misses, evictions }
+  async function info() {
+    const db = await openCacheDb();
+    const tx = db.transaction(store);
+    let entries = 0;
+    let bytes = 0;
+    let pinned = 0;
+    await idbIterate(tx.objectStore(store), 'next', (cursor) => {
+      entries++;
+      bytes += cursor.value.size || 0;
+      if (cursor.value.pinned) pinned++;
+    });
+    const { hits, misses, evictions } = await loadStats();
+    return { entries, bytes, pinned, hits, misses, evictions };
+  }
+
+  return { get, set, setMany, setPinned, isPinned, sweep, clear, info };
+}
@@ -0,0 +1,107 @@
+// Splitting of long texts into chunks the providers can translate in one go, and the
+// helpers to translate them in parallel and put the result back together.
+//
+// Chunks break at paragraph boundaries first, then at sentence boundaries, and only split
+// inside a sentence when a single sentence is longer than the chunk size. The whitespace
+// between two chunks is kept aside (`separator`) so the reassembled translation keeps the
+// original paragraph layout.
+
+const sentenceSegmenter = typeof Intl.Segmenter === 'function'
+  ? new Intl.Segmenter(undefined, { granularity: 'sentence' })
+  : null;
+
+function splitSentences(paragraph) {
+  if (sentenceSegmenter) {
+    return Array.from(sentenceSegmenter.segment(paragraph), (s) => s.segment);
+  }
+  return paragraph.match(/[^.!?。！？]+(?:[.!?。！？]+["'»”)\]]*\s*|$)/g) || [paragraph];
+}
+
+// Last resort for a sentence longer than the chunk size: cut at whitespace
+function splitWords(sentence, maxChars) {
+  const pieces = [];
+  let rest = sentence;
+  while (rest.length > maxChars) {
+    // the space stays with the piece before it and ends up in its separator: only the words
+    // before it must fit in maxChars
+    const space = rest.lastIndexOf(' ', maxChars);
+    const cut = space > 0 ? space + 1 : maxChars;
+    pieces.push(rest.slice(0, cut));
+    rest = rest.slice(cut);
+  }
+  if (rest) pieces.push(rest);
+  return pieces;
+}
+
+// Units are the smallest pieces we never split further; each carries its trailing whitespace
+function splitUnits(text, maxChars) {
+  const units = [];
+  const parts = text.split(/(\n\s*\n)/);
+  for (let i = 0; i < parts.length; i += 2) {
+    const paragraph = parts[i] + (parts[i + 1] || '');
+    if (!paragraph) continue;
+    if (paragraph.length <= maxChars) {
+      units.push(paragraph);
+      continue;
+    }
+    splitSentences(paragraph).forEach((sentence) => {
+      if (sentence.length <= maxChars) units.push(sentence);
+      else units.push(...splitWords(sentence, maxChars));
+    });
+  }
+  return units;
+}
+
+// Returns [{ index, text, separator }]; joining text + separator gives back the input.
+// Trailing whitespace does not count against maxChars: it becomes the separator, so a unit of
+// whitespace alone (the end of a paragraph break cut by the sentence split) never starts a chunk.
+export function splitIntoChunks(text, maxChars) {
+  const chunks = [];
+  let current = '';
+  splitUnits(text, maxChars).forEach((unit) => {
+    if (current && (current + unit).trimEnd().length > maxChars) {
+      chunks.push(current);
+      current = '';
+    }
+    current += unit;
+  });
+  if (current) chunks.push(current);
+
+  return chunks.map((chunk, index) => {
+    const body = chunk.trimEnd();
+    return { index, text: body, separator: chunk.slice(body.length) };
+  });
+}
+
+// Up to `limit` calls of fn(item, index) in flight; results keep the order of `items`
+export async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const i = next++;
+      results[i] = await fn(items[i], i);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
+// Tail of the previous chunk, passed along so terminology stays consistent across chunks: its
+// translation when it is already done ({ previousTranslation }), the model then continues it;
+// its original text otherwise ({ context }), e.g. while it is being translated in parallel.
+export function previousChunkContext(chunks, index, translations = [], maxChars = 600) {
+  if (index === 0) return {};
+  const tail = (text) => (text.length > maxChars ? `...${text.slice(-maxChars)}` : text);
+  const translation = translations[index - 1];
+  if (typeof translation === 'string') return { previousTranslation: tail(translation) };
+  return { context: tail(chunks[index - 1].text) };
+}
+
+// Put translated chunks back together; chunks that failed keep their original text
+export function reassemble(chunks, translations) {
+  return chunks
+    .map((chunk, i) => (translations[i] ?? chunk.text) + chunk.separator)
+    .join('')
+    .trim();
+}
@@ -16,27 +16,219 @@ function sendMessageAsync(msg) {
   });
 }
 
-// Play short pronunciation using the Web Speech API (falls back gracefully)
-function playPronunciation(text) {
-  if (!text) return;
-  try {
-    if (!('speechSynthesis' in window)) {
-      console.warn('SpeechSynthesis API not available');
-      return;
+// Pronunciation: ElevenLabs audio from the proxy (GET_TTS), or the browser's Web Speech voices
+// when the proxy has no TTS configured or fails. The browser reads the text with a voice of its
+// detected language (the one picked in the options, if any).
+// Playback follows the speechRate setting; the slowRepeat mode reads every text slowly, twice.
+// `onWord(charIndex, length)` reports the word being read: from the boundary events of Web
+// Speech, estimated from the position of the word in the text for the proxy audio.
+const SLOW_REPEAT_RATE = 0.6;
+const SLOW_REPEAT_TIMES = 2;
+const SLOW_REPEAT_PAUSE_MS = 700;
+
+let _ttsUnavailable = false; // the proxy answered tts_not_configured: don't ask again on this page
+let _audioContext = null;
+let _lastAudio = null; // { text, buffer } decoded last, replayed without asking the proxy again
+let _playback = null; // { stop } of what is being read
+let _playbackSession = 0; // bumped by stopPronunciation, ends a slow repeat between two readings
+
+function stopPronunciation() {
+  _playbackSession++;
+  if (_playback) _playback.stop();
+  _playback = null;
+}
+
+function wordOffsets(text) {
+  return Array.from(text.matchAll(/[\p{L}\p{N}]+(?:['’-][\p{L}\p{N}]+)*/gu), (m) => ({ index: m.index, length: m[0].length }));
+}
+
+// Some voices report boundaries without charLength
+function wordLengthAt(text, charIndex) {
+  const match = text.slice(charIndex).match(/^[\p{L}\p{N}]+(?:['’-][\p{L}\p{N}]+)*/u);
+  return match ? match[0].length : 0;
+}
+
+// Decoded with Web Audio rather than played from a data: URL, which the page CSP may block
+async function decodeBase64Audio(base64) {
+  const bytes = Uint8Array.from(atob(base64), (c) => c.charCodeAt(0));
+  if (_audioContext.state === 'suspended') await _audioContext.resume();
+  return _audioContext.decodeAudioData(bytes.buffer);
+}
+
+// Resolves when the audio ends or is stopped
+function playAudioBuffer(buffer, text, rate, onWord) {
+  return new Promise((resolve) => {
+    const source = _audioContext.createBufferSource();
+    source.buffer = buffer;
+    source.playbackRate.value = rate;
+    source.connect(_audioContext.destination);
+
+    const words = onWord ? wordOffsets(text) : [];
+    const startedAt = _audioContext.currentTime;
+    let current = -1;
+    let frame = null;
+    const track = () => {
+      const position = (((_audioContext.currentTime - startedAt) * rate) / buffer.duration) * text.length;
+      let index = current;
+      while (index + 1 < words.length && words[index + 1].index <= position) index++;
+      if (index !== current) {
+        current = index;
+        onWord(words[index].index, words[index].length);
+      }
+      frame = requestAnimationFrame(track);
+    };
+
+    const playback = {
+      stop: () => {
+        try { source.stop(); } catch (err) { /* already ended */ }
+        finish();
+      }
+    };
+    const finish = () => {
+      cancelAnimationFrame(frame);
+      source.onended = null;
+      if (_playback === playback) _playback = null;
+      resolve();
+    };
+    source.onended = finish;
+    _playback = playback;
+    source.start();
+    if (words.length) track();
+  });
+}
+
+// Language code of `text` (e.g. "it"), or null when it cannot be told
+function detectTextLanguage(text) {
+  return new Promise((resolve) => {
+    try {
+      chrome.i18n.detectLanguage(text, (result) => {
+        const language = result?.languages?.[0]?.language;
+        resolve(language && language !== 'und' ? language : null);
+      });
+    } catch (err) {
+      resolve(null);
     }
-    window.speechSynthesis.cancel();
+  });
+}
+
+// Chrome loads the voices asynchronously: wait for them the first time
+function getSpeechVoices() {
+  const voices = window.speechSynthesis.getVoices();
+  if (voices.length) return Promise.resolve(voices);
+  return new Promise((resolve) => {
+    const done = () => resolve(window.speechSynthesis.getVoices());
+    window.speechSynthesis.addEventListener('voiceschanged', done, { once: true });
+    setTimeout(done, 1000);
+  });
+}
+
+// The voice picked in the options for `lang`, else the best voice of that language
+function pickVoice(voices, lang) {
+  const base = lang.split('-')[0].toLowerCase();
+  const chosen = _settings.speechVoices?.[base];
+  const picked = chosen && voices.find((voice) => voice.voiceURI === chosen);
+  if (picked) return picked;
+  const matching = voices.filter((voice) => voice.lang.toLowerCase().split(/[-_]/)[0] === base);
+  return matching.find((voice) => voice.default) || matching.find((voice) => voice.localService) || matching[0] || null;
+}
+
+// Resolves when the utterance ends or is stopped
+function speakUtterance(text, voice, language, rate, onWord) {
+  return new Promise((resolve) => {
     const utter = new SpeechSynthesisUtterance(text);
-    // simple default: use browser locale
-    utter.lang = navigator.language || 'en-US';
-    utter.rate = 1.0;
+    if (voice) utter.voice = voice;
+    utter.lang = voice ? voice.lang : language;
+    utter.rate = rate;
+    if (onWord) {
+      utter.onboundary = (ev) => {
+        if (ev.name === 'word') onWord(ev.charIndex, ev.charLength || wordLengthAt(text, ev.charIndex));
+      };
+    }
+    const playback = {
+      stop: () => {
+        window.speechSynthesis.cancel();
+        finish();
+      }
+    };
+    const finish = () => {
+      utter.onend = null;
+      utter.onerror = null;
+      if (_playback === playback) _playback = null;
+      resolve();
+    };
+    utter.onend = finish;
+    utter.onerror = finish;
+    _playback = playback;
     window.speechSynthesis.speak(utter);
+  });
+}
+
+// The proxy audio for `text`, or null to use the browser voice
+async function fetchProxyAudio(text) {
+  if (_settings.ttsSource !== 'proxy' || _ttsUnavailable) return null;
+  if (_lastAudio && _lastAudio.text === text) return _lastAudio.buffer;
+  const resp = await sendMessageAsync({ type: 'GET_TTS', text });
+  if (resp && resp.audio) {
+    try {
+      const buffer = await decodeBase64Audio(resp.audio);
+      _lastAudio = { text, buffer };
+      return buffer;
+    } catch (err) {
+      console.warn('Proxy audio could not be decoded, using the browser voice', err);
+    }
+  } else if (resp?.error === 'tts_not_configured') {
+    _ttsUnavailable = true;
+  } else {
+    console.warn('Proxy TTS failed, using the browser voice', resp);
+  }
+  return null;
+}
+
+// Read `text` aloud; resolves when done (or stopped by another reading)
+async function playPronunciation(text, { lang = null, onWord = null } = {}) {
+  if (!text) return;
+  stopPronunciation();
+  const session = _playbackSession;
+  const rate = _settings.slowRepeat ? SLOW_REPEAT_RATE : _settings.speechRate;
+  const times = _settings.slowRepeat ? SLOW_REPEAT_TIMES : 1;
+  // created while still handling the click, so the page lets it play
+  if (_settings.ttsSource === 'proxy') _audioContext = _audioContext || new AudioContext();
+
+  try {
+    const buffer = await fetchProxyAudio(text);
+    let voice = null;
+    let language = null;
+    if (!buffer) {
+      if (!('speechSynthesis' in window)) {
+        console.warn('SpeechSynthesis API not available');
+        return;
+      }
+      language = lang || (await detectTextLanguage(text)) || navigator.language || 'en-US';
+      voice = pickVoice(await getSpeechVoices(), language);
+    }
+    for (let i = 0; i < times && session === _playbackSession; i++) {
+      if (i) await new Promise((resolve) => setTimeout(resolve, SLOW_REPEAT_PAUSE_MS));
+      if (session !== _playbackSession) break;
+      if (buffer) await playAudioBuffer(buffer, text, rate, onWord);
+      else await speakUtterance(text, voice, language, rate, onWord);
+    }
   } catch (err) {
     console.error('playPronunciation failed', err);
   }
 }
+
+// User settings (see settings.js), kept in sync with changes made in the options page
+let _settings = { ...SETTINGS_DEFAULTS };
+loadSettings().then((settings) => { _settings = settings; });
+onSettingsChanged(async (changed) => {
+  _settings = await loadSettings();
+  if (changed.includes('bubbleEnabled') && !_settings.bubbleEnabled) removeBubble();
+});
+
 // Replace double-click behavior with selection bubble trigger
 let _bubble = null;
 let _bubbleTimeout = null;
+let _bubbleSelection = null;
 
 function removeBubble() {
   if (_bubble) {
@@ -73,6 +265,9 @@ function positionElementAtRect(el, rect, offsetX = 0, offsetY = -30) {
 }
 
 // Extract surrounding context from the selection
+// Elements treated as a paragraph: the context of a selection, the blocks of the bilingual mode
+const CONTEXT_BLOCK_TAGS = ['P', 'DIV', 'ARTICLE', 'SECTION', 'LI', 'TD', 'TH'];
+
 function getSelectionContext(range, selectedText) {
   try {
     // Get the container node
@@ -85,7 +280,7 @@ function getSelectionContext(range, selectedText) {
     // First, try to get the parent paragraph
     let parentElement = textNode;
     while (parentElement && parentElement !== document.body) {
-      if (parentElement.tagName && ['P', 'DIV', 'ARTICLE', 'SECTION', 'LI', 'TD', 'TH'].includes(parentElement.tagName)) {
+      if (parentElement.tagName && CONTEXT_BLOCK_TAGS.includes(parentElement.tagName)) {
         contextText = parentElement.textContent || '';
         break;
       }
@@ -118,14 +313,20 @@ function getSelectionContext(range, selectedText) {
 
 async function showBubbleForSelection() {
   try {
+    if (!_settings.bubbleEnabled) { removeBubble(); return; }
     const sel = window.getSelection();
     const text = sel.toString().trim();
     if (!text) { removeBubble(); return; }
     const range = sel.rangeCount ? sel.getRangeAt(0) : null;
     if (!range) { removeBubble(); return; }
+    // a site rule may turn the bubble off, possibly only for text in some language
+    if ((await siteRulesForText(text)).bubbleOff) { removeBubble(); return; }
     const rect = range.getBoundingClientRect();
     if (!rect || (rect.width === 0 && rect.height === 0)) { removeBubble(); return; }
 
+    // remember the selection the bubble refers to: clicking the bubble may collapse it
+    _bubbleSelection = { text, range };
+
     // create bubble if not present
     if (!_bubble) {
       const btn = document.createElement('button');
@@ -137,15 +338,8 @@ async function showBubbleForSelection() {
       btn.addEventListener('click', async (ev) => {
         ev.stopPropagation();
         ev.preventDefault();
-        // fetch translation with context
-        const context = getSelectionContext(range, text);
-        const resp = await sendMessageAsync({ type: 'TRANSLATE_TEXT', text, context });
-        if (!resp || resp.error) {
-          console.error('Errore traduzione:', resp);
-          return;
-        }
-        removeBubble();
-        showPopup(text, resp.translation, resp.detailedAnalysis, context);
+        if (!_bubbleSelection) return;
+        translateSelection(_bubbleSelection.text, _bubbleSelection.range);
       });
       document.body.appendChild(btn);
       _bubble = btn;
@@ -153,15 +347,113 @@ async function showBubbleForSelection() {
     positionElementAtRect(_bubble, rect, 8, -6);
     // auto-remove bubble after some inactivity to avoid clutter
     if (_bubbleTimeout) clearTimeout(_bubbleTimeout);
-    _bubbleTimeout = setTimeout(() => removeBubble(), 6000);
+    _bubbleTimeout = null;
+    const autoHideMs = Number(_settings.bubbleAutoHideSec) * 1000;
+    if (autoHideMs > 0) _bubbleTimeout = setTimeout(() => removeBubble(), autoHideMs);
   } catch (err) {
     console.error('showBubbleForSelection failed', err);
     removeBubble();
   }
 }
 
+// Selections up to this length get the detailed analysis (when enabled in the options) and
+// are translated in one request; longer ones are streamed into an already open popup
+const DETAILED_ANALYSIS_MAX_LENGTH = 300;
+
+// Translate a selection (with its surrounding context) and open the popup.
+// Shared by the ✦ bubble, the context menu and the keyboard shortcut.
+// action: 'translate' | 'analyze' (also open the details) | 'pronounce' (also read it aloud)
+async function translateSelection(text, range, action = 'translate') {
+  if (action === 'pronounce') playPronunciation(text);
+  // read before awaiting the rules: the selection may change meanwhile
+  const context = getSelectionContext(range, text);
+  const anchorRect = range.getBoundingClientRect();
+  const rules = await siteRulesForText(text);
+  await translateInPopup(text, {
+    context,
+    anchorRect,
+    target: rules.target || _settings.targetLang,
+    // a selection already in the target language is translated into the secondary one
+    secondaryTarget: _settings.secondaryLang,
+    ...translationStyleFor(rules),
+    detailedAnalysis: rules.detailedAnalysis ?? _settings.detailedAnalysis,
+    action
+  });
+}
+
+async function translateInPopup(text, {
+  context,
+  anchorRect,
+  target,
+  secondaryTarget = null,
+  formality = null,
+  fidelity = null,
+  domain = null,
+  detailedAnalysis = _settings.detailedAnalysis,
+  action = 'translate'
+}) {
+  const request = { text, context, target, secondaryTarget, formality, fidelity, domain };
+  if (!detailedAnalysis || text.length > DETAILED_ANALYSIS_MAX_LENGTH) {
+    removeBubble();
+    const popup = showPopup(text, '', null, context, anchorRect);
+    addStyleChips(popup, request);
+    streamIntoPopup(popup, request);
+    if (action === 'analyze') popup.querySelector('.smarttranslate-plus-btn').click();
+    return;
+  }
+
+  if (_bubble) _bubble.classList.add('loading');
+  const resp = await sendMessageAsync({
+    type: 'TRANSLATE_TEXT', ...request, detailedAnalysis, history: true
+  });
+  removeBubble();
+  if (!resp || resp.error) {
+    console.error('Errore traduzione:', resp);
+    const popup = showPopup(text, '', null, context, anchorRect);
+    showPopupError(popup, describeTranslationError(resp));
+    return;
+  }
+  const popup = showPopup(text, resp.translation, resp.detailedAnalysis, context, anchorRect);
+  addStyleChips(popup, request);
+  showPopupLanguages(popup, { ...resp, target: resp.target || target });
+  if (resp.partial) showPartialNote(popup, resp.failedChunks);
+  if (resp.glossaryViolations?.length) showGlossaryNote(popup, resp.glossaryViolations);
+  if (action === 'analyze' && !resp.detailedAnalysis) {
+    popup.querySelector('.smarttranslate-plus-btn').click();
+  }
+}
+
+// Context menu entries and the keyboard shortcut (see background.js) act on the current selection
+// Tells the background worker that the content scripts already run in this frame, so that it
+// does not inject them a second time (see sendToContentScript in background.js)
+globalThis.smartTranslateLoaded = true;
+
+// Every listener answers, otherwise chrome.tabs.sendMessage fails with "message port closed"
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  if (!message || message.type !== 'SELECTION_ACTION') return;
+  sendResponse({ ok: true });
+  const sel = window.getSelection();
+  const text = sel ? sel.toString().trim() : '';
+  // the shortcut is delivered to every frame: only the one holding the selection reacts
+  if (!text || !sel.rangeCount) return;
+  translateSelection(text, sel.getRangeAt(0), message.action);
+});
+
+// "Reopen" in the history of the toolbar popup (panel.html): the entry is shown again as it
+// was translated, without asking the proxy
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  if (!message || message.type !== 'SHOW_TRANSLATION') return;
+  sendResponse({ ok: true });
+  const { original, translation, context, source, target } = message.entry;
+  const popup = showPopup(original, translation, null, context);
+  showPopupLanguages(popup, { detectedSource: source, target });
+});
+
 // show bubble on mouseup and keyup (keyboard selection)
-const scheduleBubble = () => { setTimeout(showBubbleForSelection, 50); };
+const scheduleBubble = () => {
+  if (siteRulesFor().bubbleOff) return; // turned off for this whole site
+  setTimeout(showBubbleForSelection, 50);
+};
 document.addEventListener('mouseup', scheduleBubble);
 document.addEventListener('keyup', scheduleBubble);
 // remove bubble when clicking elsewhere
@@ -450,7 +742,7 @@ function renderDetailedAnalysis(container, analysis, originalText) {
   closeBtn.addEventListener('click', (e) => {
     e.stopPropagation();
     const popup = document.querySelector('[data-smarttranslate="popup"]');
-    if (popup) popup.remove();
+    if (popup) closePopup(popup);
   });
 
   actionsDiv.appendChild(listenBtn);
@@ -458,10 +750,383 @@ function renderDetailedAnalysis(container, analysis, originalText) {
   container.appendChild(actionsDiv);
 }
 
+// Popups can own work in progress (e.g. a streaming translation): closePopup runs
+// the cleanup registered for them before removing them from the page
+const _popupCleanups = new WeakMap();
+
+function onPopupClose(popup, cleanup) {
+  _popupCleanups.set(popup, cleanup);
+}
+
+// Stops what the popup is waiting for (a streamed translation) without closing it
+function cancelPopupRequest(popup) {
+  const cleanup = _popupCleanups.get(popup);
+  _popupCleanups.delete(popup);
+  if (cleanup) cleanup();
+}
+
+function closePopup(popup) {
+  cancelPopupRequest(popup);
+  popup.remove();
+}
+
+// Fill the popup translation progressively from a 'translate-stream' port (see background.js).
+// Closing the popup disconnects the port, which cancels the request. Only the first translation
+// of a popup goes in the history, not its retranslations in another style.
+function streamIntoPopup(popup, {
+  text, context, target, secondaryTarget = null, formality = null, fidelity = null, domain = null
+}, { history = true } = {}) {
+  const translatedDiv = popup.querySelector('.st-translation-text');
+  popup.classList.add('st-streaming');
+  translatedDiv.textContent = '';
+
+  let port;
+  try {
+    port = chrome.runtime.connect({ name: 'translate-stream' });
+  } catch (err) {
+    console.error('Extension communication error:', err);
+    showPopupError(popup, 'Please refresh the page after reloading the extension');
+    return;
+  }
+
+  let finished = false;
+  const finish = () => {
+    if (finished) return;
+    finished = true;
+    popup.classList.remove('st-streaming');
+    port.disconnect();
+  };
+  onPopupClose(popup, finish);
+
+  port.onMessage.addListener((msg) => {
+    if (msg.type === 'delta') {
+      translatedDiv.textContent += msg.text;
+    } else if (msg.type === 'reset') {
+      // the proxy is translating into the secondary target instead
+      translatedDiv.textContent = '';
+    } else if (msg.type === 'done') {
+      translatedDiv.textContent = msg.translation;
+      showPopupLanguages(popup, { ...msg, target: msg.target || target });
+      if (msg.partial) showPartialNote(popup, msg.failedChunks);
+      if (msg.glossaryViolations?.length) showGlossaryNote(popup, msg.glossaryViolations);
+      finish();
+    } else if (msg.type === 'error') {
+      console.error('Errore traduzione:', msg);
+      finish();
+      showPopupError(popup, describeTranslationError(msg));
+    }
+  });
+  port.onDisconnect.addListener(() => {
+    if (finished) return;
+    // background worker went away mid-stream (e.g. extension reloaded)
+    finish();
+    showPopupError(popup, 'Translation interrupted');
+  });
+  // recorded in the translation history (see recordHistory in background.js)
+  port.postMessage({
+    type: 'TRANSLATE_STREAM', text, context, target, secondaryTarget, formality, fidelity, domain, history
+  });
+}
+
+// Translate the popup text again, in another style (see addStyleChips); the history keeps the
+// first translation only
+function retranslateInPopup(popup, request) {
+  cancelPopupRequest(popup);
+  popup.querySelectorAll('.st-partial-note, .st-glossary-note').forEach((note) => note.remove());
+  popup.querySelector('.st-translation-text').classList.remove('st-translation-error');
+  streamIntoPopup(popup, request, { history: false });
+}
+
+// Chips under the translation to retranslate it in another style (TRANSLATION_STYLES in
+// settings.js) without selecting the text again: one choice per group, clicking the active
+// chip goes back to the default
+function addStyleChips(popup, request) {
+  const style = { formality: request.formality, fidelity: request.fidelity, domain: request.domain };
+  const chips = document.createElement('div');
+  chips.className = 'st-style-chips';
+
+  const render = () => chips.querySelectorAll('.st-style-chip').forEach((chip) => {
+    const active = style[chip.dataset.option] === chip.dataset.value;
+    chip.classList.toggle('active', active);
+    chip.setAttribute('aria-pressed', String(active));
+  });
+
+  Object.entries(TRANSLATION_STYLES).forEach(([option, values]) => {
+    values.forEach(([value, label]) => {
+      const chip = document.createElement('button');
+      chip.type = 'button';
+      chip.className = 'st-style-chip';
+      chip.dataset.option = option;
+      chip.dataset.value = value;
+      chip.textContent = label;
+      chip.addEventListener('click', (ev) => {
+        ev.stopPropagation();
+        ev.preventDefault();
+        style[option] = style[option] === value ? null : value;
+        render();
+        retranslateInPopup(popup, { ...request, ...style });
+      });
+      chips.appendChild(chip);
+    });
+  });
+  render();
+  popup.querySelector('.smarttranslate-translation').insertAdjacentElement('afterend', chips);
+}
+
+// "EN → IT" in the popup header once the proxy has told the source language, with a ⇄ button
+// translating the translation back into it
+function showPopupLanguages(popup, { detectedSource, confidence, target }) {
+  popup.dataset.target = target;
+  if (!detectedSource) return;
+  popup.dataset.source = detectedSource;
+  const header = popup.querySelector('.smarttranslate-header');
+  header.querySelector('.st-lang-pair')?.remove();
+
+  const pair = document.createElement('span');
+  pair.className = 'st-lang-pair';
+  const label = document.createElement('span');
+  label.textContent = `${detectedSource.toUpperCase()} → ${target.toUpperCase()}`;
+  if (typeof confidence === 'number') label.title = `Lingua rilevata (affidabilità ${Math.round(confidence * 100)}%)`;
+
+  const swapBtn = document.createElement('button');
+  swapBtn.type = 'button';
+  swapBtn.className = 'st-lang-swap';
+  swapBtn.title = `Traduci in ${detectedSource.toUpperCase()}`;
+  swapBtn.textContent = '⇄';
+  swapBtn.addEventListener('click', (ev) => {
+    ev.stopPropagation();
+    ev.preventDefault();
+    const translation = popup.querySelector('.st-translation-text').textContent.trim();
+    if (!translation) return;
+    translateInPopup(translation, { context: '', anchorRect: popup.getBoundingClientRect(), target: detectedSource });
+  });
+
+  pair.append(label, swapBtn);
+  // before the pin and audio buttons
+  header.querySelector('.smarttranslate-original-text').insertAdjacentElement('afterend', pair);
+}
+
+function describeTranslationError(resp) {
+  if (!resp) return 'No response from the extension';
+  if (resp.error === 'timeout') return 'The translation service did not answer in time';
+  if (resp.error === 'stream_incomplete') return 'The translation was interrupted, try again';
+  if (resp.error === 'service_degraded') {
+    return `The translation service is having problems right now, try again in ${resp.retryAfter || 30}s`;
+  }
+  if (resp.error === 'extension_reload') return resp.message;
+  return resp.message && resp.error !== 'proxy_error' ? resp.message : `Translation failed (${resp.error})`;
+}
+
+// Long texts are translated in chunks: tell the reader when some were left untranslated
+function showPartialNote(popup, failedChunks) {
+  const note = document.createElement('div');
+  note.className = 'st-partial-note';
+  const count = Array.isArray(failedChunks) ? failedChunks.length : 0;
+  note.textContent = `⚠️ ${count || 'Some'} part${count === 1 ? '' : 's'} of the text could not be translated and ${count === 1 ? 'is' : 'are'} shown in the original.`;
+  popup.querySelector('.smarttranslate-translation').appendChild(note);
+}
+
+// Glossary terms (see glossary.js) the translation did not use as required
+function showGlossaryNote(popup, violations) {
+  const note = document.createElement('div');
+  note.className = 'st-glossary-note';
+  note.textContent = `⚠️ Glossary: ${violations.map(({ term, expected }) => (term === expected
+    ? `"${term}" should stay untranslated`
+    : `"${term}" should be "${expected}"`)).join('; ')}.`;
+  popup.querySelector('.smarttranslate-translation').appendChild(note);
+}
+
+function showPopupError(popup, message) {
+  const translatedDiv = popup.querySelector('.st-translation-text');
+  translatedDiv.classList.add('st-translation-error');
+  translatedDiv.textContent = message;
+}
+
+// The sentence of `context` holding `text` (the whole context when no single sentence does)
+function sentenceAround(context, text) {
+  const sentences = context.match(/[^.!?…]+[.!?…]*/g) || [];
+  return (sentences.find((sentence) => sentence.includes(text)) || context).trim();
+}
+
+// What the notebook keeps of an analysis (detailed or legacy format)
+function summarizeAnalysis(analysis) {
+  if (!analysis) return null;
+  const summary = {
+    explanation: analysis.explanation || analysis.definition || analysis.meaning || '',
+    synonyms: (analysis.synonyms || []).slice(0, 8),
+    examples: (analysis.examples || []).slice(0, 4)
+  };
+  return summary.explanation || summary.synonyms.length || summary.examples.length ? summary : null;
+}
+
+// "Save word": stores the selection with its translation, sentence, page and analysis in the
+// vocabulary notebook (see notebook.js), reviewed later in review.html
+function createSaveButton(popup, { original, context, getAnalysis }) {
+  const saveBtn = document.createElement('button');
+  saveBtn.className = 'smarttranslate-audio-btn st-save-btn';
+  saveBtn.type = 'button';
+  saveBtn.title = 'Salva nel quaderno';
+  saveBtn.textContent = '📒';
+
+  saveBtn.addEventListener('click', async (ev) => {
+    ev.stopPropagation();
+    ev.preventDefault();
+    const translatedDiv = popup.querySelector('.st-translation-text');
+    const translation = translatedDiv.classList.contains('st-translation-error') ? '' : translatedDiv.textContent.trim();
+    if (!translation || popup.classList.contains('st-streaming')) return;
+    saveBtn.disabled = true;
+    const resp = await sendMessageAsync({
+      type: 'NOTEBOOK_SAVE',
+      original,
+      translation,
+      context: context ? sentenceAround(context, original) : '',
+      url: location.href,
+      title: document.title,
+      source: popup.dataset.source || null,
+      target: popup.dataset.target || _settings.targetLang,
+      analysis: summarizeAnalysis(getAnalysis())
+    });
+    saveBtn.disabled = false;
+    if (!resp || resp.error) {
+      console.error('Errore salvataggio nel quaderno:', resp);
+      return;
+    }
+    saveBtn.classList.add('saved');
+    saveBtn.title = 'Salvato nel quaderno';
+  });
+  return saveBtn;
+}
+
+function createPinButton(text) {
+  const pinBtn = document.createElement('button');
+  pinBtn.className = 'smarttranslate-audio-btn st-pin-btn';
+  pinBtn.type = 'button';
+  pinBtn.textContent = '📌';
+
+  const setPinned = (pinned) => {
+    pinBtn.classList.toggle('pinned', pinned);
+    pinBtn.setAttribute('aria-pressed', String(pinned));
+    pinBtn.title = pinned ? 'Rimuovi dai preferiti offline' : 'Salva per l\'uso offline';
+  };
+  setPinned(false);
+  sendMessageAsync({ type: 'GET_PINNED', text }).then((resp) => setPinned(!!resp?.pinned));
+
+  pinBtn.addEventListener('click', async (ev) => {
+    ev.stopPropagation();
+    ev.preventDefault();
+    const pinned = !pinBtn.classList.contains('pinned');
+    pinBtn.disabled = true;
+    pinBtn.classList.add('loading');
+    const resp = await sendMessageAsync({ type: 'SET_PINNED', text, pinned, target: _settings.targetLang });
+    pinBtn.disabled = false;
+    pinBtn.classList.remove('loading');
+    if (!resp || resp.error) {
+      console.error('Errore pin:', resp);
+      return;
+    }
+    // nothing could be fetched (offline, TTS not configured and analysis failing)
+    setPinned(resp.pinned && (resp.analysis || resp.audio));
+  });
+  return pinBtn;
+}
+
+const SPEECH_HIGHLIGHT = 'st-speech-word';
+
+// Highlight the word being read inside `el` (CSS Custom Highlight API: the DOM is left untouched)
+function highlightSpokenWord(el, charIndex, length) {
+  if (!window.CSS || !CSS.highlights || typeof Highlight !== 'function') return;
+  const walker = document.createTreeWalker(el, NodeFilter.SHOW_TEXT);
+  let offset = 0;
+  while (walker.nextNode()) {
+    const node = walker.currentNode;
+    const end = offset + node.nodeValue.length;
+    if (charIndex < end) {
+      const range = document.createRange();
+      range.setStart(node, charIndex - offset);
+      range.setEnd(node, Math.min(charIndex - offset + length, node.nodeValue.length));
+      CSS.highlights.set(SPEECH_HIGHLIGHT, new Highlight(range));
+      return;
+    }
+    offset = end;
+  }
+  // past the text shown (a truncated original)
+  CSS.highlights.delete(SPEECH_HIGHLIGHT);
+}
+
+function clearSpokenWord() {
+  if (window.CSS && CSS.highlights) CSS.highlights.delete(SPEECH_HIGHLIGHT);
+}
+
+// 🔊 button reading getText() aloud and highlighting its words in `el`; a second click stops it
+function createPlayButton({ title, label = '', getText, getLang = () => null, el }) {
+  const btn = document.createElement('button');
+  btn.className = 'smarttranslate-audio-btn';
+  btn.type = 'button';
+  btn.title = title;
+  btn.textContent = label ? `🔊 ${label}` : '🔊';
+  btn.addEventListener('click', async (ev) => {
+    ev.stopPropagation();
+    ev.preventDefault();
+    if (btn.classList.contains('playing')) {
+      stopPronunciation();
+      return;
+    }
+    const text = getText();
+    if (!text || !text.trim()) return;
+    btn.classList.add('playing');
+    await playPronunciation(text, { lang: getLang(), onWord: (index, length) => highlightSpokenWord(el, index, length) });
+    btn.classList.remove('playing');
+    clearSpokenWord();
+  });
+  return btn;
+}
+
+// Speed and slow-repeat controls: saved in the settings, so they apply to every reading
+function createPlaybackControls(translationBtn) {
+  const controls = document.createElement('div');
+  controls.className = 'st-playback-controls';
+
+  const speedBtn = document.createElement('button');
+  speedBtn.type = 'button';
+  speedBtn.className = 'st-playback-btn';
+  speedBtn.title = 'Velocità di lettura';
+
+  const slowBtn = document.createElement('button');
+  slowBtn.type = 'button';
+  slowBtn.className = 'st-playback-btn';
+  slowBtn.title = 'Ripetizione lenta: legge due volte, lentamente';
+  slowBtn.textContent = '🐢 Slow repeat';
+
+  const render = () => {
+    speedBtn.textContent = `${_settings.speechRate}×`;
+    speedBtn.disabled = _settings.slowRepeat;
+    slowBtn.classList.toggle('active', _settings.slowRepeat);
+    slowBtn.setAttribute('aria-pressed', String(_settings.slowRepeat));
+  };
+  render();
+
+  speedBtn.addEventListener('click', (ev) => {
+    ev.stopPropagation();
+    const next = SPEECH_RATES[(SPEECH_RATES.indexOf(_settings.speechRate) + 1) % SPEECH_RATES.length];
+    _settings.speechRate = next;
+    saveSettings({ speechRate: next });
+    render();
+  });
+  slowBtn.addEventListener('click', (ev) => {
+    ev.stopPropagation();
+    _settings.slowRepeat = !_settings.slowRepeat;
+    saveSettings({ slowRepeat: _settings.slowRepeat });
+    render();
+  });
+
+  controls.append(translationBtn, speedBtn, slowBtn);
+  return controls;
+}
+
 // --- Funzione per creare il mini tooltip vicino al testo ---
-function showPopup(original, translated, detailedAnalysis = null, context = '') {
+function showPopup(original, translated, detailedAnalysis = null, context = '', anchorRect = null) {
   // Rimuovi popup precedente (solo i nostri popup, usando un data-attribute)
-  document.querySelectorAll('[data-smarttranslate="popup"]').forEach(e => e.remove());
+  document.querySelectorAll('[data-smarttranslate="popup"]').forEach(e => closePopup(e));
 
   const popup = document.createElement("div");
   popup.className = "smarttranslate-popup";
@@ -488,19 +1153,21 @@ function showPopup(original, translated, detailedAnalysis = null, context = '')
   const header = document.createElement('div');
   header.className = 'smarttranslate-header';
 
-  const audioBtn = document.createElement('button');
-  audioBtn.className = 'smarttranslate-audio-btn';
-  audioBtn.type = 'button';
-  audioBtn.title = 'Pronuncia';
-  audioBtn.textContent = '🔊';
-
-  audioBtn.addEventListener('click', (ev) => {
-    ev.stopPropagation();
-    ev.preventDefault();
-    playPronunciation(original);
+  // the languages are known once the translation arrives (see showPopupLanguages)
+  const audioBtn = createPlayButton({
+    title: 'Pronuncia l\'originale',
+    getText: () => original,
+    getLang: () => popup.dataset.source || null,
+    el: boldOriginal
   });
 
   header.appendChild(boldOriginal);
+  // short texts can be pinned: their analysis and audio stay cached for offline use
+  if (original.length <= DETAILED_ANALYSIS_MAX_LENGTH) {
+    header.appendChild(createPinButton(original));
+    // the analysis may be loaded later with the + button
+    header.appendChild(createSaveButton(popup, { original, context, getAnalysis: () => currentAnalysis }));
+  }
   header.appendChild(audioBtn);
 
   // Translation section - now includes clarification if available
@@ -512,6 +1179,15 @@ function showPopup(original, translated, detailedAnalysis = null, context = '')
   translatedDiv.textContent = translated;
   translationSection.appendChild(translatedDiv);
 
+  // the translation may still be streaming in: read what is shown when clicked
+  const translationAudioBtn = createPlayButton({
+    title: 'Pronuncia la traduzione',
+    label: 'Translation',
+    getText: () => (translatedDiv.classList.contains('st-translation-error') ? '' : translatedDiv.textContent),
+    getLang: () => popup.dataset.target || _settings.targetLang,
+    el: translatedDiv
+  });
+
   // Add clarification if available from detailed analysis
   if (detailedAnalysis && detailedAnalysis.clarification) {
     const clarificationDiv = document.createElement('div');
@@ -532,6 +1208,7 @@ function showPopup(original, translated, detailedAnalysis = null, context = '')
 
   // If we have detailed analysis, show it immediately
   let analysisLoaded = false;
+  let currentAnalysis = detailedAnalysis;
   if (detailedAnalysis) {
     renderDetailedAnalysis(details, detailedAnalysis, original);
     details.style.display = 'block';
@@ -545,6 +1222,7 @@ function showPopup(original, translated, detailedAnalysis = null, context = '')
 
   popup.appendChild(header);
   popup.appendChild(translationSection);
+  popup.appendChild(createPlaybackControls(translationAudioBtn));
   popup.appendChild(plusBtn);
   popup.appendChild(details);
 
@@ -611,10 +1289,16 @@ function showPopup(original, translated, detailedAnalysis = null, context = '')
 
   popup.addEventListener('pointerdown', onPointerDown);
 
-  // Posiziona vicino alla selezione
-  const rect = window.getSelection().getRangeAt(0).getBoundingClientRect();
-  popup.style.top = `${window.scrollY + rect.bottom + 8}px`;
-  popup.style.left = `${window.scrollX + rect.left}px`;
+  // Posiziona vicino alla selezione (o in alto al centro se la selezione non c'è più)
+  const sel = window.getSelection();
+  const rect = anchorRect || (sel && sel.rangeCount ? sel.getRangeAt(0).getBoundingClientRect() : null);
+  if (rect) {
+    popup.style.top = `${window.scrollY + rect.bottom + 8}px`;
+    popup.style.left = `${window.scrollX + rect.left}px`;
+  } else {
+    popup.style.top = `${window.scrollY + 80}px`;
+    popup.style.left = `${window.scrollX + Math.max(16, (document.documentElement.clientWidth - popup.offsetWidth) / 2)}px`;
+  }
 
   // Handler for plusBtn: fetch analysis or toggle (analysisLoaded already declared above)
   plusBtn.addEventListener('click', async (ev) => {
@@ -652,6 +1336,7 @@ function showPopup(original, translated, detailedAnalysis = null, context = '')
       return;
     }
     const a = resp.analysis;
+    currentAnalysis = a;
     // Try to use the new detailed format if available, otherwise fall back to legacy
     if (a.explanation || a.synonyms || a.examples || a.confusables || a.usageNotes) {
       // New detailed format
@@ -711,8 +1396,9 @@ document.addEventListener('click', (e) => {
   }
   // se il click non è dentro il popup, rimuovilo
   if (!e.target.closest('[data-smarttranslate="popup"]')) {
-    popup.remove();
+    closePopup(popup);
   }
 });
 
+return popup;
 }
@@ -0,0 +1,178 @@
+// Export and import of the vocabulary notebook (see notebook.js), used by review.html, and of
+// the translation history (see history.js), used by the options page:
+// - Anki: tab-separated Front / Back / Context / Tags with Anki's header lines; the fields are
+//   HTML and the pronunciation audio of a word is embedded in the back as a base64 data: URI
+// - CSV: one row per word or translation, for spreadsheets
+// - JSON: every field of every card (review history included) or history entry, versioned so
+//   it can be imported back; see importNotebookEntries() and importHistoryEntries() for how
+//   duplicates are merged
+
+const NOTEBOOK_EXPORT_FORMAT = 'smarttranslate-notebook';
+const NOTEBOOK_EXPORT_VERSION = 1;
+const HISTORY_EXPORT_FORMAT = 'smarttranslate-history';
+const HISTORY_EXPORT_VERSION = 1;
+
+function notebookToJson(cards) {
+  return JSON.stringify({
+    format: NOTEBOOK_EXPORT_FORMAT,
+    version: NOTEBOOK_EXPORT_VERSION,
+    exportedAt: new Date().toISOString(),
+    cards
+  }, null, 2);
+}
+
+function historyToJson(entries) {
+  return JSON.stringify({
+    format: HISTORY_EXPORT_FORMAT,
+    version: HISTORY_EXPORT_VERSION,
+    exportedAt: new Date().toISOString(),
+    entries
+  }, null, 2);
+}
+
+// data[field] of an export of `format` ("notebook" or "history" in the messages); throws an
+// Error with a readable message when the file is something else
+function parseExportJson(text, { format, version, field, label }) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (err) {
+    throw new Error('The file is not valid JSON');
+  }
+  if (data?.format !== format || !Array.isArray(data[field])) {
+    throw new Error(`The file is not a SmartTranslate+ ${label} export`);
+  }
+  if (!Number.isInteger(data.version) || data.version > version) {
+    throw new Error(`Unsupported ${label} version ${data.version}: update the extension first`);
+  }
+  return data[field];
+}
+
+// The cards of an exported notebook
+function parseNotebookJson(text) {
+  return parseExportJson(text, { format: NOTEBOOK_EXPORT_FORMAT, version: NOTEBOOK_EXPORT_VERSION, field: 'cards', label: 'notebook' });
+}
+
+// The entries of an exported history
+function parseHistoryJson(text) {
+  return parseExportJson(text, { format: HISTORY_EXPORT_FORMAT, version: HISTORY_EXPORT_VERSION, field: 'entries', label: 'history' });
+}
+
+// The cells come from web pages: a spreadsheet would run one starting like a formula
+// ("=HYPERLINK(…)"), so those are prefixed with a quote and read as text
+function csvField(value) {
+  let text = value === null || value === undefined ? '' : String(value);
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+const CSV_COLUMNS = [
+  ['original', (card) => card.original],
+  ['translation', (card) => card.translation],
+  ['context', (card) => card.context],
+  ['source', (card) => card.source],
+  ['target', (card) => card.target],
+  ['explanation', (card) => card.analysis?.explanation],
+  ['synonyms', (card) => (card.analysis?.synonyms || []).join('; ')],
+  ['examples', (card) => (card.analysis?.examples || []).join(' | ')],
+  ['url', (card) => card.url],
+  ['saved', (card) => new Date(card.createdAt).toISOString()],
+  ['due', (card) => new Date(card.due).toISOString()],
+  ['reviews', (card) => card.history.length]
+];
+
+const HISTORY_CSV_COLUMNS = [
+  ['original', (entry) => entry.original],
+  ['translation', (entry) => entry.translation],
+  ['context', (entry) => entry.context],
+  ['source', (entry) => entry.source],
+  ['target', (entry) => entry.target],
+  ['url', (entry) => entry.url],
+  ['title', (entry) => entry.title],
+  ['translated', (entry) => new Date(entry.at).toISOString()]
+];
+
+function toCsv(columns, records) {
+  const rows = [columns.map(([name]) => name)]
+    .concat(records.map((record) => columns.map(([, read]) => read(record))));
+  // the BOM makes spreadsheet programs read the file as UTF-8
+  return `﻿${rows.map((row) => row.map(csvField).join(',')).join('\r\n')}\r\n`;
+}
+
+function notebookToCsv(cards) {
+  return toCsv(CSV_COLUMNS, cards);
+}
+
+function historyToCsv(entries) {
+  return toCsv(HISTORY_CSV_COLUMNS, entries);
+}
+
+function escapeHtml(text) {
+  return String(text || '').replace(/[&<>"]/g, (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[c]));
+}
+
+// A field of the TSV: tabs and line breaks would split the record
+function ankiField(html) {
+  return html.replace(/\t/g, ' ').replace(/\r?\n/g, '<br>');
+}
+
+function ankiBack(card, audio) {
+  const parts = [`<div>${escapeHtml(card.translation)}</div>`];
+  const { analysis } = card;
+  if (analysis?.explanation) parts.push(`<p>${escapeHtml(analysis.explanation)}</p>`);
+  if (analysis?.synonyms?.length) parts.push(`<p><i>${escapeHtml(analysis.synonyms.join(', '))}</i></p>`);
+  if (analysis?.examples?.length) {
+    parts.push(`<ul>${analysis.examples.map((example) => `<li>${escapeHtml(example)}</li>`).join('')}</ul>`);
+  }
+  if (audio) parts.push(`<audio controls src="data:${audio.mime};base64,${audio.audio}"></audio>`);
+  return parts.join('');
+}
+
+// Works for history entries too: they have the same original, context, source and target
+function ankiContext(card) {
+  const context = card.context || '';
+  const index = context.toLowerCase().indexOf(card.original.toLowerCase());
+  if (index === -1) return escapeHtml(context);
+  return escapeHtml(context.slice(0, index)) +
+    `<b>${escapeHtml(context.slice(index, index + card.original.length))}</b>` +
+    escapeHtml(context.slice(index + card.original.length));
+}
+
+function ankiTags(card) {
+  const tags = ['smarttranslate'];
+  if (card.source && card.target) tags.push(`${card.source}-${card.target}`);
+  return tags.join(' ');
+}
+
+function toAnkiTsv(rows) {
+  const header = ['#separator:tab', '#html:true', '#columns:Front\tBack\tContext\tTags', '#tags column:4'];
+  return `${header.concat(rows.map((fields) => fields.map(ankiField).join('\t'))).join('\n')}\n`;
+}
+
+// `audioById` maps card ids to { audio, mime } (cards without an entry get no audio)
+function notebookToAnkiTsv(cards, audioById = new Map()) {
+  return toAnkiTsv(cards.map((card) => [
+    escapeHtml(card.original),
+    ankiBack(card, audioById.get(card.id)),
+    ankiContext(card),
+    ankiTags(card)
+  ]));
+}
+
+function historyToAnkiTsv(entries) {
+  return toAnkiTsv(entries.map((entry) => [
+    escapeHtml(entry.original),
+    `<div>${escapeHtml(entry.translation)}</div>`,
+    ankiContext(entry),
+    `${ankiTags(entry)} history`
+  ]));
+}
+
+function downloadFile(name, content, mime) {
+  const url = URL.createObjectURL(new Blob([content], { type: mime }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = name;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
@@ -0,0 +1,184 @@
+// Retries, circuit breakers and endpoint failover of the proxy calls, for the background worker
+// (loaded with importScripts). Nothing here talks to the proxy: callers pass in the attempt,
+// which resolves to a success object or to { error, ... } (see callProxyOnce in background.js).
+
+// Failed proxy calls are classified and each class has its own retry budget; anything else
+// (4xx validation errors such as missing_text or invalid_target) is final. Delays grow
+// exponentially with full jitter, unless the proxy says how long to wait (Retry-After).
+const RETRY_POLICIES = {
+  rate_limited: { retries: 3 },
+  server_error: { retries: 2 },
+  network: { retries: 2 },
+  timeout: { retries: 1 }
+};
+const RETRY_BASE_DELAY_MS = 500;
+const RETRY_MAX_DELAY_MS = 8000;
+// a proxy asking to wait longer than this is not retried: the error goes back to the popup
+const RETRY_AFTER_MAX_MS = 30000;
+
+// 5xx that report a configuration problem of the proxy, not an outage: never retried, and not
+// held against the proxy by the circuit breaker (another endpoint may still be configured)
+const CONFIGURATION_ERRORS = ['tts_not_configured', 'server_misconfigured'];
+
+// `error` code of a JSON error body returned by the proxy
+function proxyErrorCode(failure) {
+  try {
+    return JSON.parse(failure.message).error || null;
+  } catch (err) {
+    return null;
+  }
+}
+
+function isConfigurationError(failure) {
+  return failure.error === 'proxy_error' && CONFIGURATION_ERRORS.includes(proxyErrorCode(failure));
+}
+
+function classifyFailure(failure) {
+  if (failure.error === 'timeout') return 'timeout';
+  if (failure.error === 'request_failed') return 'network';
+  if (failure.error === 'proxy_error' && failure.status === 429) return 'rate_limited';
+  if (failure.error === 'proxy_error' && failure.status >= 500 && !isConfigurationError(failure)) return 'server_error';
+  return null;
+}
+
+function retryDelayMs(attempt, retryAfterMs) {
+  if (retryAfterMs !== undefined) return retryAfterMs;
+  return Math.random() * Math.min(RETRY_MAX_DELAY_MS, RETRY_BASE_DELAY_MS * 2 ** attempt);
+}
+
+// Retry-After header (seconds or HTTP date), else `retryAfter` seconds in the JSON error body
+// (the 429 of server.js)
+function parseRetryAfterMs(resp, bodyText) {
+  const header = resp.headers.get('Retry-After');
+  if (header) {
+    const seconds = Number(header);
+    if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+    const date = Date.parse(header);
+    if (!Number.isNaN(date)) return Math.max(0, date - Date.now());
+  }
+  try {
+    const seconds = Number(JSON.parse(bodyText).retryAfter);
+    if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  } catch (err) {
+    // not JSON
+  }
+  return undefined;
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Circuit breaker, one per proxy URL: after BREAKER_FAILURE_THRESHOLD consecutive failures the
+// proxy is left alone for a cooldown, which doubles (up to BREAKER_MAX_COOLDOWN_MS) while it
+// keeps failing. Once the cooldown is over a single trial request decides whether to close it.
+// Meanwhile requests fail fast with `service_degraded`.
+const BREAKER_FAILURE_THRESHOLD = 5;
+const BREAKER_COOLDOWN_MS = 30000;
+const BREAKER_MAX_COOLDOWN_MS = 5 * 60 * 1000;
+const breakers = new Map();
+
+function createCircuitBreaker() {
+  let failures = 0;
+  let openUntil = 0;
+  let cooldownMs = BREAKER_COOLDOWN_MS;
+  let trialInFlight = false;
+
+  return {
+    allowRequest() {
+      if (!openUntil) return true;
+      if (Date.now() < openUntil || trialInFlight) return false;
+      trialInFlight = true;
+      return true;
+    },
+    recordSuccess() {
+      failures = 0;
+      openUntil = 0;
+      cooldownMs = BREAKER_COOLDOWN_MS;
+      trialInFlight = false;
+    },
+    // the trial request was cancelled (popup closed) before telling anything about the proxy:
+    // the next request becomes the trial
+    releaseTrial() {
+      trialInFlight = false;
+    },
+    // false while the circuit is open (or its trial request is in flight); does not start a trial
+    isAvailable() {
+      return !openUntil || (Date.now() >= openUntil && !trialInFlight);
+    },
+    recordFailure() {
+      failures++;
+      if (trialInFlight) {
+        trialInFlight = false;
+        cooldownMs = Math.min(cooldownMs * 2, BREAKER_MAX_COOLDOWN_MS);
+        openUntil = Date.now() + cooldownMs;
+      } else if (!openUntil && failures >= BREAKER_FAILURE_THRESHOLD) {
+        console.warn(`Proxy failed ${failures} times in a row, pausing requests for ${cooldownMs / 1000}s`);
+        openUntil = Date.now() + cooldownMs;
+      }
+    },
+    degradedError() {
+      const retryAfter = Math.max(1, Math.ceil((openUntil - Date.now()) / 1000));
+      return { error: 'service_degraded', retryAfter };
+    },
+    // for the options page
+    health() {
+      if (!openUntil) return { state: 'healthy', failures };
+      if (Date.now() < openUntil) return { state: 'degraded', failures, retryAfter: Math.ceil((openUntil - Date.now()) / 1000) };
+      return { state: 'recovering', failures };
+    }
+  };
+}
+
+function getCircuitBreaker(url) {
+  if (!breakers.has(url)) breakers.set(url, createCircuitBreaker());
+  return breakers.get(url);
+}
+
+// Run `attempt(endpoint)` against one endpoint, going through its circuit breaker, with retries
+// (see RETRY_POLICIES) when `retry` is set. `attempt` resolves to a success object or to
+// { error, ... }, it never rejects.
+async function tryEndpoint(endpoint, attempt, retry) {
+  const breaker = getCircuitBreaker(endpoint.url);
+  const retriesUsed = {};
+  for (let n = 0; ; n++) {
+    if (!breaker.allowRequest()) return breaker.degradedError();
+    const result = await attempt(endpoint);
+    const kind = result.error ? classifyFailure(result) : null;
+    if (!kind) {
+      if (result.error === 'aborted') breaker.releaseTrial();
+      else breaker.recordSuccess(); // 4xx: the proxy is up, the request was refused
+      return result;
+    }
+    breaker.recordFailure();
+    retriesUsed[kind] = (retriesUsed[kind] || 0) + 1;
+    if (!retry || retriesUsed[kind] > RETRY_POLICIES[kind].retries || result.retryAfterMs > RETRY_AFTER_MAX_MS) {
+      return result;
+    }
+    const delay = retryDelayMs(n, result.retryAfterMs);
+    console.warn(`Proxy call failed (${kind}), retrying in ${Math.round(delay)}ms`);
+    await sleep(delay);
+  }
+}
+
+// Endpoints are tried in the configured order: a retryable failure, or an endpoint whose circuit
+// is open, moves on to the next one, and only the last endpoint available is retried. The
+// result records the endpoint that served it (or the last one that failed) as `endpoint`.
+async function withFailover(endpoints, attempt) {
+  const available = endpoints.filter(({ url }) => getCircuitBreaker(url).isAvailable());
+  if (!available.length) {
+    // every circuit is open: report the one that reopens first
+    return endpoints
+      .map(({ url }) => ({ ...getCircuitBreaker(url).degradedError(), endpoint: url }))
+      .reduce((first, next) => (next.retryAfter < first.retryAfter ? next : first));
+  }
+
+  let result;
+  for (let i = 0; i < available.length; i++) {
+    const endpoint = available[i];
+    const isLast = i === available.length - 1;
+    result = { ...(await tryEndpoint(endpoint, attempt, isLast)), endpoint: endpoint.url };
+    if (!result.error || isLast) break;
+    if (!classifyFailure(result) && result.error !== 'service_degraded' && !isConfigurationError(result)) break;
+    console.warn(`Proxy ${endpoint.url} failed (${result.error}), trying the next endpoint`);
+  }
+  return result;
+}
@@ -0,0 +1,233 @@
+// Full-page translation: translates the visible text of the page in place. Every text node
+// is translated on its own, so inline markup (links, bold, ...) stays untouched. A floating
+// bar switches between the translation and the original (or restores the page), and a
+// MutationObserver translates content the page adds or reveals later. Started from the
+// context menu (see background.js).
+// Relies on sendMessageAsync() and _settings from content.js and on the site rules (rules.js);
+// turns off bilingual.js.
+
+const PAGE_SKIP_SELECTOR = [
+  'script', 'style', 'noscript', 'template', 'code', 'pre', 'kbd', 'samp', 'var',
+  'textarea', 'input', 'select', 'option', 'svg', 'math', 'canvas', 'iframe',
+  '[contenteditable=""]', '[contenteditable="true"]', '[translate="no"]', '.notranslate',
+  '[data-smarttranslate]'
+].join(',');
+const PAGE_BATCH_SIZE = 40;
+const PAGE_MUTATION_DEBOUNCE_MS = 400;
+// attributes pages use to show hidden content (menus, tabs, accordions, <details>): the text
+// that becomes visible is translated then
+const PAGE_VISIBILITY_ATTRIBUTES = ['class', 'style', 'hidden', 'open', 'aria-hidden', 'aria-expanded'];
+
+// null when the page is not translated, otherwise
+// { originals: Map<Text, string>, translations: Map<Text, string>, queue, observer, bar, ... }
+let _pageMode = null;
+
+function isTranslatableTextNode(node) {
+  if (!/\p{L}/u.test(node.nodeValue)) return false;
+  const parent = node.parentElement;
+  if (!parent || parent.closest(PAGE_SKIP_SELECTOR)) return false;
+  if (typeof parent.checkVisibility === 'function') return parent.checkVisibility();
+  return parent.getClientRects().length > 0;
+}
+
+function collectTextNodes(root) {
+  const nodes = [];
+  if (root.nodeType === Node.TEXT_NODE) {
+    if (isTranslatableTextNode(root)) nodes.push(root);
+    return nodes;
+  }
+  const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT, {
+    acceptNode: (node) => (isTranslatableTextNode(node) ? NodeFilter.FILTER_ACCEPT : NodeFilter.FILTER_REJECT)
+  });
+  while (walker.nextNode()) nodes.push(walker.currentNode);
+  return nodes;
+}
+
+// Keep the whitespace around the text: it often separates the node from its inline neighbours
+function splitWhitespace(value) {
+  const match = value.match(/^(\s*)([\s\S]*?)(\s*)$/);
+  return { lead: match[1], text: match[2], trail: match[3] };
+}
+
+function enqueueTextNodes(nodes) {
+  if (!_pageMode) return;
+  nodes.forEach((node) => {
+    if (_pageMode.originals.has(node)) return;
+    _pageMode.originals.set(node, node.nodeValue);
+    _pageMode.queue.push(node);
+  });
+  _pageMode.total = _pageMode.originals.size;
+  processPageQueue();
+}
+
+async function processPageQueue() {
+  const mode = _pageMode;
+  if (!mode || mode.busy) return;
+  mode.busy = true;
+  while (_pageMode === mode && mode.queue.length) {
+    const nodes = mode.queue.splice(0, PAGE_BATCH_SIZE).filter((node) => node.isConnected);
+    if (!nodes.length) continue;
+    // identical strings (menus, buttons, "Read more") are sent once per batch
+    const texts = [...new Set(nodes.map((node) => splitWhitespace(mode.originals.get(node)).text))];
+    const rules = siteRulesForPage();
+    const resp = await sendMessageAsync({
+      type: 'TRANSLATE_BATCH',
+      texts,
+      target: rules.target || _settings.targetLang,
+      ...translationStyleFor(rules)
+    });
+    if (_pageMode !== mode) break; // stopped meanwhile
+    if (!resp || resp.error) {
+      console.error('Errore traduzione pagina:', resp);
+      mode.failed += nodes.length;
+    } else {
+      const byText = new Map(texts.map((text, i) => [text, resp.results[i]]));
+      nodes.forEach((node) => {
+        const original = mode.originals.get(node);
+        const { lead, text, trail } = splitWhitespace(original);
+        const result = byText.get(text);
+        if (!result || !result.translation) {
+          mode.failed++;
+          return;
+        }
+        const translated = lead + result.translation + trail;
+        mode.translations.set(node, translated);
+        if (!mode.showingOriginal) node.nodeValue = translated;
+      });
+    }
+    mode.done += nodes.length;
+    updatePageBar();
+  }
+  mode.busy = false;
+  updatePageBar();
+}
+
+function showPageVersion(original) {
+  if (!_pageMode) return;
+  _pageMode.showingOriginal = original;
+  const source = original ? _pageMode.originals : _pageMode.translations;
+  source.forEach((value, node) => {
+    if (node.isConnected) node.nodeValue = value;
+  });
+  // content added or revealed while the original was shown
+  if (!original) translatePendingMutations();
+  updatePageBar();
+}
+
+// Translates the text of the elements added or changed since the last call. While the original
+// is shown they stay pending, until the translation is shown again.
+function translatePendingMutations() {
+  const mode = _pageMode;
+  if (!mode) return;
+  clearTimeout(mode.pendingTimer);
+  mode.pendingTimer = null;
+  if (mode.showingOriginal) return;
+  const changed = [...mode.pending].filter((node) => node.isConnected);
+  mode.pending.clear();
+  enqueueTextNodes(changed.flatMap((node) => collectTextNodes(node)));
+}
+
+function createPageBar() {
+  const bar = document.createElement('div');
+  bar.className = 'st-page-bar';
+  bar.setAttribute('data-smarttranslate', 'page-bar');
+
+  const status = document.createElement('span');
+  status.className = 'st-page-bar-status';
+
+  const toggle = document.createElement('button');
+  toggle.type = 'button';
+  toggle.className = 'st-page-bar-btn st-page-bar-toggle';
+  toggle.addEventListener('click', (ev) => {
+    ev.stopPropagation();
+    showPageVersion(!_pageMode.showingOriginal);
+  });
+
+  const close = document.createElement('button');
+  close.type = 'button';
+  close.className = 'st-page-bar-btn';
+  close.title = 'Restore the original page';
+  close.textContent = '✕';
+  close.addEventListener('click', (ev) => {
+    ev.stopPropagation();
+    stopPageTranslation();
+  });
+
+  bar.appendChild(status);
+  bar.appendChild(toggle);
+  bar.appendChild(close);
+  document.body.appendChild(bar);
+  return bar;
+}
+
+function updatePageBar() {
+  if (!_pageMode) return;
+  const { bar, done, total, failed, busy, showingOriginal } = _pageMode;
+  const status = bar.querySelector('.st-page-bar-status');
+  if (busy) status.textContent = `✦ Translating… ${done}/${total}`;
+  else if (failed) status.textContent = `✦ Translated (${failed} parts failed)`;
+  else status.textContent = '✦ Page translated';
+  bar.querySelector('.st-page-bar-toggle').textContent = showingOriginal ? 'Show translation' : 'Show original';
+}
+
+function startPageTranslation() {
+  if (_pageMode) {
+    showPageVersion(false);
+    return;
+  }
+  if (_bilingual) stopBilingual();
+  _pageMode = {
+    originals: new Map(),
+    translations: new Map(),
+    queue: [],
+    done: 0,
+    total: 0,
+    failed: 0,
+    busy: false,
+    showingOriginal: false,
+    bar: createPageBar(),
+    observer: null,
+    pending: new Set(),
+    pendingTimer: null
+  };
+
+  // dynamically loaded content, and hidden content made visible (text nodes skipped at first
+  // because invisible): collect the nodes and translate them in debounced batches
+  _pageMode.observer = new MutationObserver((mutations) => {
+    const mode = _pageMode;
+    if (!mode) return;
+    mutations.forEach((mutation) => {
+      if (mutation.type === 'attributes') mode.pending.add(mutation.target);
+      else mutation.addedNodes.forEach((node) => mode.pending.add(node));
+    });
+    if (!mode.pending.size || mode.pendingTimer || mode.showingOriginal) return;
+    mode.pendingTimer = setTimeout(translatePendingMutations, PAGE_MUTATION_DEBOUNCE_MS);
+  });
+  _pageMode.observer.observe(document.body, {
+    childList: true,
+    subtree: true,
+    attributes: true,
+    attributeFilter: PAGE_VISIBILITY_ATTRIBUTES
+  });
+
+  enqueueTextNodes(collectTextNodes(document.body));
+  updatePageBar();
+}
+
+function stopPageTranslation() {
+  if (!_pageMode) return;
+  const mode = _pageMode;
+  mode.observer.disconnect();
+  clearTimeout(mode.pendingTimer);
+  mode.originals.forEach((value, node) => {
+    if (node.isConnected) node.nodeValue = value;
+  });
+  mode.bar.remove();
+  _pageMode = null;
+}
+
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  if (!message || message.type !== 'PAGE_ACTION') return;
+  sendResponse({ ok: true });
+  if (message.action === 'translate-page') startPageTranslation();
+});
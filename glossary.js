@@ -0,0 +1,139 @@
+// User glossary: terms that must always be translated the same way, or left untranslated
+// (brand names, API terms). Edited in the options page and kept in chrome.storage.sync, so it
+// follows the user across browsers; loaded by the background worker, which sends the entries
+// relevant to each text to the proxy (they end up in the prompt, see prompts.js) and checks
+// the translation that comes back.
+//
+// Entries are { term, translation, lang }: an empty translation means "do not translate", an
+// empty lang applies to every target language.
+
+// storage.sync caps every item at 8 KB: the glossary is stored in shards
+// ("glossary.0", "glossary.1", …) of compact [term, translation, lang] arrays
+const GLOSSARY_SHARDS_KEY = 'glossaryShards';
+const GLOSSARY_SHARD_PREFIX = 'glossary.';
+const GLOSSARY_SHARD_BYTES = 7000;
+const GLOSSARY_MAX_ENTRIES = 500;
+const GLOSSARY_TERM_MAX_LENGTH = 100;
+// entries sent with one request (the proxy refuses more than 100)
+const GLOSSARY_REQUEST_MAX_ENTRIES = 50;
+
+// Trimmed entries with a term; the same term for the same language keeps the last translation
+function normalizeGlossary(entries) {
+  const byKey = new Map();
+  (Array.isArray(entries) ? entries : []).forEach((entry) => {
+    const term = String(entry?.term || '').trim().slice(0, GLOSSARY_TERM_MAX_LENGTH);
+    if (!term) return;
+    const lang = String(entry?.lang || '').trim().toLowerCase();
+    const translation = String(entry?.translation || '').trim().slice(0, GLOSSARY_TERM_MAX_LENGTH);
+    byKey.set(`${term.toLowerCase()}|${lang}`, { term, translation, lang });
+  });
+  return [...byKey.values()].slice(0, GLOSSARY_MAX_ENTRIES);
+}
+
+function loadGlossary() {
+  return new Promise((resolve) => {
+    chrome.storage.sync.get([GLOSSARY_SHARDS_KEY], (res) => {
+      const count = Number(res?.[GLOSSARY_SHARDS_KEY]) || 0;
+      const keys = Array.from({ length: count }, (_, i) => `${GLOSSARY_SHARD_PREFIX}${i}`);
+      if (!keys.length) return resolve([]);
+      chrome.storage.sync.get(keys, (shards) => {
+        const rows = keys.flatMap((key) => (Array.isArray(shards?.[key]) ? shards[key] : []));
+        resolve(normalizeGlossary(rows.map(([term, translation, lang]) => ({ term, translation, lang }))));
+      });
+    });
+  });
+}
+
+// Rejects when storage.sync refuses it (quota exceeded)
+function saveGlossary(entries) {
+  const shards = [[]];
+  normalizeGlossary(entries).forEach(({ term, translation, lang }) => {
+    const row = [term, translation, lang];
+    const shard = shards[shards.length - 1];
+    if (shard.length && JSON.stringify([...shard, row]).length > GLOSSARY_SHARD_BYTES) shards.push([row]);
+    else shard.push(row);
+  });
+  const values = { [GLOSSARY_SHARDS_KEY]: shards[0].length ? shards.length : 0 };
+  shards.forEach((shard, i) => { if (shard.length) values[`${GLOSSARY_SHARD_PREFIX}${i}`] = shard; });
+  return new Promise((resolve, reject) => {
+    chrome.storage.sync.get(null, (current) => {
+      // shards left over from a longer glossary
+      const stale = Object.keys(current || {}).filter((key) => key.startsWith(GLOSSARY_SHARD_PREFIX) && !(key in values));
+      chrome.storage.sync.set(values, () => {
+        if (chrome.runtime.lastError) return reject(new Error(chrome.runtime.lastError.message));
+        chrome.storage.sync.remove(stale, () => resolve());
+      });
+    });
+  });
+}
+
+function onGlossaryChanged(callback) {
+  chrome.storage.onChanged.addListener((changes, area) => {
+    if (area !== 'sync') return;
+    if (Object.keys(changes).some((key) => key === GLOSSARY_SHARDS_KEY || key.startsWith(GLOSSARY_SHARD_PREFIX))) callback();
+  });
+}
+
+function glossaryLanguageMatches(entry, language) {
+  return !entry.lang || (!!language && entry.lang === language.split('-')[0].toLowerCase());
+}
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Languages that capitalize every noun: a capitalized word is not taken for a name there
+const GLOSSARY_CAPITALIZED_NOUN_LANGUAGES = ['de'];
+
+// A word of a required translation in any of its grammatical forms, which the prompt lets the
+// model adapt (see prompts.js): the word loses at most its last letter and takes an ending of up
+// to three (Katze/Katzen, gatto/gatti, Kind/Kindern); a word of three letters may only take
+// one of up to two (Tür/Türen). Names (a capital, or capitals inside the word: Acme, iPhone,
+// API), shorter words and words with digits or symbols are matched as written.
+function inflectedWordPattern(word, language) {
+  const capitalizesNouns = GLOSSARY_CAPITALIZED_NOUN_LANGUAGES.includes(String(language || '').split('-')[0].toLowerCase());
+  const isName = /^\p{L}.*\p{Lu}/u.test(word) || (/^\p{Lu}/u.test(word) && !capitalizesNouns);
+  if (isName || word.length < 3 || !/^\p{L}+$/u.test(word)) return escapeRegExp(word);
+  if (word.length === 3) return `${escapeRegExp(word)}\\p{L}{0,2}`;
+  const stem = word.length > 4 ? word.slice(0, -1) : word;
+  return `${escapeRegExp(stem)}\\p{L}{0,3}`;
+}
+
+// `term` as a whole word (or phrase), ignoring case. With `inflectedFor` (the language of the
+// text), its words may also be in another grammatical form. The single implementation of term
+// matching: the proxy uses the entries it is sent as they are.
+function glossaryTermPattern(term, { inflectedFor = null } = {}) {
+  const body = inflectedFor
+    ? term.split(/\s+/).map((word) => inflectedWordPattern(word, inflectedFor)).join('\\s+')
+    : escapeRegExp(term);
+  return new RegExp(`(?<![\\p{L}\\p{N}])${body}(?![\\p{L}\\p{N}])`, 'iu');
+}
+
+// The entries whose term occurs in `text`, for any of `languages` (the target, and the secondary
+// target the proxy may switch to)
+function glossaryEntriesFor(glossary, text, languages) {
+  return glossary
+    .filter((entry) => languages.some((language) => glossaryLanguageMatches(entry, language)))
+    .filter((entry) => glossaryTermPattern(entry.term).test(text))
+    .slice(0, GLOSSARY_REQUEST_MAX_ENTRIES);
+}
+
+// The entries that apply to a translation into `target`: an entry for that language wins over
+// one for every language
+function glossaryForTarget(entries, target) {
+  const byTerm = new Map();
+  entries.filter((entry) => glossaryLanguageMatches(entry, target)).forEach((entry) => {
+    const key = entry.term.toLowerCase();
+    if (!byTerm.has(key) || entry.lang) byTerm.set(key, entry);
+  });
+  return [...byTerm.values()];
+}
+
+// [{ term, expected }] for the entries of `target` that `translation` does not respect: the
+// required translation is missing in every grammatical form, or the term that must stay
+// untranslated is missing as written
+function findGlossaryViolations(entries, translation, target) {
+  return glossaryForTarget(entries, target)
+    .filter(({ term, translation: required }) => !glossaryTermPattern(required || term, {
+      inflectedFor: required ? target : null
+    }).test(translation))
+    .map(({ term, translation: required }) => ({ term, expected: required || term }));
+}
@@ -0,0 +1,171 @@
+// Translation history for the background worker (loaded with importScripts after cache.js, whose
+// IndexedDB helpers it uses, and notebook.js). Every translation shown in the popup is recorded
+// with the page it came from, unless the privacy settings exclude it (see recordHistory in
+// background.js); the toolbar popup (panel.html) searches and reopens them, the options page
+// exports and imports them (see exchange.js). Only the newest HISTORY_MAX_ENTRIES are kept.
+
+const HISTORY_DB_NAME = 'smarttranslate-history';
+const HISTORY_DB_VERSION = 1;
+const HISTORY_STORE = 'entries';
+const HISTORY_MAX_ENTRIES = 5000;
+// longer texts are stored truncated: the history is for finding them again, not a backup
+const HISTORY_TEXT_MAX_LENGTH = 5000;
+const HISTORY_CONTEXT_MAX_LENGTH = 500;
+
+let _historyDbPromise = null;
+
+function openHistoryDb() {
+  if (!_historyDbPromise) {
+    _historyDbPromise = new Promise((resolve, reject) => {
+      const req = indexedDB.open(HISTORY_DB_NAME, HISTORY_DB_VERSION);
+      req.onupgradeneeded = () => {
+        req.result.createObjectStore(HISTORY_STORE, { keyPath: 'id' }).createIndex('at', 'at');
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+    _historyDbPromise.catch(() => { _historyDbPromise = null; });
+  }
+  return _historyDbPromise;
+}
+
+// drop the oldest entries over the cap
+async function trimHistory(store) {
+  let excess = (await idbRequest(store.count())) - HISTORY_MAX_ENTRIES;
+  if (excess > 0) {
+    await idbIterate(store.index('at'), 'next', (cursor) => {
+      if (excess-- > 0) cursor.delete();
+    });
+  }
+}
+
+// `entry` is { original, translation, context, url, title, host, source, target }
+async function addHistoryEntry(entry) {
+  const db = await openHistoryDb();
+  const tx = db.transaction(HISTORY_STORE, 'readwrite');
+  const store = tx.objectStore(HISTORY_STORE);
+  const record = {
+    id: crypto.randomUUID(),
+    at: Date.now(),
+    original: entry.original.slice(0, HISTORY_TEXT_MAX_LENGTH),
+    translation: entry.translation.slice(0, HISTORY_TEXT_MAX_LENGTH),
+    context: (entry.context || '').slice(0, HISTORY_CONTEXT_MAX_LENGTH),
+    url: entry.url || '',
+    title: entry.title || '',
+    host: entry.host || '',
+    source: entry.source || null,
+    target: entry.target || null
+  };
+  store.put(record);
+  await trimHistory(store);
+  await idbTransactionDone(tx);
+  return record;
+}
+
+// Every entry, newest first (for the export)
+async function listHistoryEntries() {
+  const db = await openHistoryDb();
+  const all = await idbRequest(db.transaction(HISTORY_STORE).objectStore(HISTORY_STORE).getAll());
+  return all.sort((a, b) => b.at - a.at);
+}
+
+// Imported entries are checked field by field; null when unusable
+function normalizeImportedHistoryEntry(raw) {
+  if (!raw || typeof raw !== 'object') return null;
+  const text = (value) => (typeof value === 'string' ? value : '');
+  const original = text(raw.original).trim().slice(0, HISTORY_TEXT_MAX_LENGTH);
+  const translation = text(raw.translation).trim().slice(0, HISTORY_TEXT_MAX_LENGTH);
+  if (!original || !translation || !Number.isFinite(raw.at)) return null;
+  const url = safePageUrl(raw.url);
+  return {
+    id: text(raw.id) || crypto.randomUUID(),
+    at: raw.at,
+    original,
+    translation,
+    context: text(raw.context).slice(0, HISTORY_CONTEXT_MAX_LENGTH),
+    url,
+    title: text(raw.title),
+    host: url ? new URL(url).hostname : '',
+    source: text(raw.source) || null,
+    target: text(raw.target) || null
+  };
+}
+
+// Entries already in the history (same id, or the same translation at the same time) are
+// merged with them, i.e. kept once. Resolves to { added, merged, skipped }.
+async function importHistoryEntries(entries) {
+  const db = await openHistoryDb();
+  const tx = db.transaction(HISTORY_STORE, 'readwrite');
+  const store = tx.objectStore(HISTORY_STORE);
+  const counts = { added: 0, merged: 0, skipped: 0 };
+  const sameEntry = (a, b) => a.at === b.at && a.original === b.original && a.translation === b.translation;
+  for (const raw of entries) {
+    const entry = normalizeImportedHistoryEntry(raw);
+    if (!entry) {
+      counts.skipped++;
+      continue;
+    }
+    const byId = await idbRequest(store.get(entry.id));
+    const atSameTime = await idbRequest(store.index('at').getAll(entry.at));
+    if ((byId && sameEntry(byId, entry)) || atSameTime.some((saved) => sameEntry(saved, entry))) {
+      counts.merged++;
+      continue;
+    }
+    // an id already taken by another translation gets a new one
+    if (byId) entry.id = crypto.randomUUID();
+    store.put(entry);
+    counts.added++;
+  }
+  await trimHistory(store);
+  await idbTransactionDone(tx);
+  return counts;
+}
+
+async function getHistoryEntry(id) {
+  const db = await openHistoryDb();
+  return (await idbRequest(db.transaction(HISTORY_STORE).objectStore(HISTORY_STORE).get(id))) || null;
+}
+
+// Lowercase and without accents, so "perche" finds "perché"
+function foldText(text) {
+  return text.normalize('NFD').replace(/\p{M}/gu, '').toLowerCase();
+}
+
+// Newest first. Every word of `query` must appear in the original or in the translation;
+// `host` and `target` filter on the site and the language. Resolves to
+// { entries (at most `limit`), total, hosts, languages }: `hosts` and `languages` list the
+// values present in the whole history, for the filters.
+async function searchHistoryEntries({ query = '', host = '', target = '', limit = 200 } = {}) {
+  const db = await openHistoryDb();
+  const all = await idbRequest(db.transaction(HISTORY_STORE).objectStore(HISTORY_STORE).getAll());
+  all.sort((a, b) => b.at - a.at);
+  const words = foldText(query).split(/\s+/).filter(Boolean);
+  const matches = all.filter((entry) => {
+    if (host && entry.host !== host) return false;
+    if (target && entry.target !== target) return false;
+    if (!words.length) return true;
+    const haystack = foldText(`${entry.original}\n${entry.translation}`);
+    return words.every((word) => haystack.includes(word));
+  });
+  const distinct = (values) => [...new Set(values.filter(Boolean))].sort();
+  return {
+    entries: matches.slice(0, limit),
+    total: matches.length,
+    hosts: distinct(all.map((entry) => entry.host)),
+    languages: distinct(all.map((entry) => entry.target))
+  };
+}
+
+async function deleteHistoryEntry(id) {
+  const db = await openHistoryDb();
+  const tx = db.transaction(HISTORY_STORE, 'readwrite');
+  tx.objectStore(HISTORY_STORE).delete(id);
+  await idbTransactionDone(tx);
+}
+
+async function clearHistory() {
+  const db = await openHistoryDb();
+  const tx = db.transaction(HISTORY_STORE, 'readwrite');
+  tx.objectStore(HISTORY_STORE).clear();
+  await idbTransactionDone(tx);
+}
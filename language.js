@@ -0,0 +1,102 @@
+// Lightweight source-language identification for the proxy responses (`detectedSource`).
+// The script settles most non-Latin languages; Latin-script text is scored on its most common
+// words and on letters only some alphabets have. Providers that detect the language themselves
+// (LibreTranslate, DeepL) take precedence, see translate.js.
+
+// Non-Latin scripts and the language they are taken for (base confidence: the script alone
+// does not tell Russian from Bulgarian or Arabic from Persian)
+const SCRIPTS = [
+  // kanji included: Japanese text is mostly kanji, see detectScript
+  { language: 'ja', pattern: /[\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Han}]/gu, confidence: 0.95 },
+  { language: 'ko', pattern: /\p{Script=Hangul}/gu, confidence: 0.95 },
+  { language: 'zh', pattern: /\p{Script=Han}/gu, confidence: 0.85 },
+  { language: 'ar', pattern: /\p{Script=Arabic}/gu, confidence: 0.8 },
+  { language: 'hi', pattern: /\p{Script=Devanagari}/gu, confidence: 0.8 },
+  { language: 'ru', pattern: /\p{Script=Cyrillic}/gu, confidence: 0.75 },
+  { language: 'el', pattern: /\p{Script=Greek}/gu, confidence: 0.95 },
+  { language: 'he', pattern: /\p{Script=Hebrew}/gu, confidence: 0.9 },
+  { language: 'th', pattern: /\p{Script=Thai}/gu, confidence: 0.95 }
+];
+
+const STOPWORDS = {
+  en: 'the and of to is in that it for you with was are this be on not have but what they from at by or we my can will your',
+  it: 'il di che e la per un una non sono è del della con mi ti si lo gli le questo ma come anche più ho nel alla ci sei',
+  es: 'el de que y la los las en un una es por con no para se del al lo pero como más está muy yo sí su este son también',
+  fr: 'le la les de des et un une est que qui dans pour pas ne sur au du il elle je vous nous avec ce cette mais être sont très',
+  de: 'der die das und ist nicht ein eine zu den mit sich des auf für im dem auch es ich du wir sie aber wie oder sind war wird noch',
+  pt: 'o os a as de que e do da em um uma não para com é por mais no na dos das se ao mas você está são também muito',
+  nl: 'de het een en van is dat niet ik je op te zijn met voor er maar ook als wat bij aan om nog dit wel hij we naar geen',
+  pl: 'i w nie na się z że do to jest jak ale o co po tak od za jestem czy już mnie tylko przez dla ten są może być bardzo',
+  tr: 've bir bu da de için ile ne çok ama gibi daha olarak var yok ben sen o mi değil kadar her şey olan sonra en diye ya veya nasıl'
+};
+const STOPWORD_SETS = Object.fromEntries(Object.entries(STOPWORDS).map(([lang, words]) => [lang, new Set(words.split(' '))]));
+
+// Letters that only some Latin alphabets use
+const LETTER_HINTS = {
+  es: /[ñ¿¡]/g,
+  de: /[ßäöü]/g,
+  pt: /[ãõ]/g,
+  fr: /[œêîûëç]/g,
+  pl: /[ąęłńśźżć]/g,
+  tr: /[ğış]/g
+};
+
+const WORD_PATTERN = /[\p{L}\p{N}]+(?:['’-][\p{L}\p{N}]+)*/gu;
+const SAMPLE_LENGTH = 2000;
+
+function detectScript(sample, letters) {
+  let best = null;
+  SCRIPTS.forEach((script) => {
+    const count = (sample.match(script.pattern) || []).length;
+    if (count && (!best || count > best.count)) best = { ...script, count };
+  });
+  if (!best || best.count < letters / 2) return null;
+  // Han characters without any kana are Chinese
+  if (best.language === 'ja' && !/[\p{Script=Hiragana}\p{Script=Katakana}]/u.test(sample)) {
+    best = { ...SCRIPTS.find((script) => script.language === 'zh'), count: best.count };
+  }
+  let language = best.language;
+  if (language === 'ru' && /[іїєґ]/iu.test(sample)) language = 'uk';
+  return { language, confidence: round(best.confidence * (best.count / letters)) };
+}
+
+function detectLatin(sample) {
+  const scores = Object.fromEntries(Object.keys(STOPWORDS).map((lang) => [lang, 0]));
+  const words = sample.toLowerCase().match(WORD_PATTERN) || [];
+  words.forEach((word) => {
+    Object.entries(STOPWORD_SETS).forEach(([lang, set]) => {
+      if (set.has(word)) scores[lang]++;
+    });
+  });
+  Object.entries(LETTER_HINTS).forEach(([lang, pattern]) => {
+    scores[lang] += (sample.toLowerCase().match(pattern) || []).length;
+  });
+  const ranked = Object.entries(scores).sort((a, b) => b[1] - a[1]);
+  const [language, top] = ranked[0];
+  if (!top) return null;
+  const total = ranked.reduce((sum, [, score]) => sum + score, 0);
+  // a couple of shared words ("de", "a") say little: confidence grows with the evidence, and a
+  // short selection needs less of it (a four-word sentence rarely has more than two stopwords),
+  // but never a single hit ("die", "a")
+  const evidenceNeeded = Math.min(4, Math.max(2, words.length / 4));
+  const confidence = (top / total) * Math.min(1, top / evidenceNeeded);
+  return { language, confidence: round(confidence) };
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+// { language, confidence } with `confidence` between 0 and 1, or null when the text gives no clue
+export function detectLanguage(text) {
+  const sample = String(text || '').slice(0, SAMPLE_LENGTH);
+  const letters = (sample.match(/\p{L}/gu) || []).length;
+  if (!letters) return null;
+  return detectScript(sample, letters) || detectLatin(sample);
+}
+
+// "pt-BR" and "pt" are the same language for our purposes
+export function sameLanguage(a, b) {
+  if (!a || !b) return false;
+  return String(a).split('-')[0].toLowerCase() === String(b).split('-')[0].toLowerCase();
+}
@@ -0,0 +1,226 @@
+// Vocabulary notebook for the background worker (loaded with importScripts after cache.js, whose
+// IndexedDB helpers it uses). Words saved from the popup become flashcards, reviewed in
+// review.html and scheduled with SM-2:
+// - a card answered correctly comes back after 1 day, then 6, then interval × ease
+// - the ease starts at 2.5 and moves with every grade (never below 1.3)
+// - a failed card starts over and comes back within the same session
+// Every review is appended to the card's history. Exported notebooks (see exchange.js) are
+// imported back by merging the words already saved.
+
+const NOTEBOOK_DB_NAME = 'smarttranslate-notebook';
+const NOTEBOOK_DB_VERSION = 1;
+const NOTEBOOK_STORE = 'cards';
+const DAY_MS = 24 * 60 * 60 * 1000;
+const AGAIN_DELAY_MS = 10 * 60 * 1000;
+const SM2_INITIAL_EASE = 2.5;
+const SM2_MIN_EASE = 1.3;
+// grades of the review buttons: again, hard, good, easy (SM-2 quality 0-5)
+const REVIEW_GRADES = [1, 3, 4, 5];
+
+let _notebookDbPromise = null;
+
+function openNotebookDb() {
+  if (!_notebookDbPromise) {
+    _notebookDbPromise = new Promise((resolve, reject) => {
+      const req = indexedDB.open(NOTEBOOK_DB_NAME, NOTEBOOK_DB_VERSION);
+      req.onupgradeneeded = () => {
+        const store = req.result.createObjectStore(NOTEBOOK_STORE, { keyPath: 'id' });
+        store.createIndex('key', 'key', { unique: true });
+        store.createIndex('due', 'due');
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+    _notebookDbPromise.catch(() => { _notebookDbPromise = null; });
+  }
+  return _notebookDbPromise;
+}
+
+// The same word saved twice (for the same target language) updates its card
+function notebookKey(original, target) {
+  return `${original.trim().toLowerCase()}|${target || ''}`;
+}
+
+// { ease, interval (days), repetitions, due } after answering `card` with `grade`
+function scheduleReview(card, grade, now = Date.now()) {
+  const ease = Math.max(SM2_MIN_EASE, card.ease + (0.1 - (5 - grade) * (0.08 + (5 - grade) * 0.02)));
+  if (grade < 3) return { ease, interval: 0, repetitions: 0, due: now + AGAIN_DELAY_MS };
+  let interval;
+  if (card.repetitions === 0) interval = 1;
+  else if (card.repetitions === 1) interval = 6;
+  else interval = Math.round(card.interval * card.ease);
+  return { ease, interval, repetitions: card.repetitions + 1, due: now + interval * DAY_MS };
+}
+
+// `entry` is { original, translation, context, url, title, source, target, analysis }.
+// Resolves to { card, created }.
+async function saveNotebookEntry(entry) {
+  const db = await openNotebookDb();
+  const tx = db.transaction(NOTEBOOK_STORE, 'readwrite');
+  const store = tx.objectStore(NOTEBOOK_STORE);
+  const key = notebookKey(entry.original, entry.target);
+  const existing = await idbRequest(store.index('key').get(key));
+  const now = Date.now();
+  const card = {
+    ...(existing || {
+      id: crypto.randomUUID(),
+      key,
+      createdAt: now,
+      ease: SM2_INITIAL_EASE,
+      interval: 0,
+      repetitions: 0,
+      due: now,
+      history: []
+    }),
+    original: entry.original,
+    translation: entry.translation,
+    context: entry.context || '',
+    url: entry.url || '',
+    title: entry.title || '',
+    source: entry.source || null,
+    target: entry.target || null,
+    analysis: entry.analysis || existing?.analysis || null,
+    updatedAt: now
+  };
+  store.put(card);
+  await idbTransactionDone(tx);
+  return { card, created: !existing };
+}
+
+async function findNotebookEntry(original, target) {
+  const db = await openNotebookDb();
+  const store = db.transaction(NOTEBOOK_STORE).objectStore(NOTEBOOK_STORE);
+  return (await idbRequest(store.index('key').get(notebookKey(original, target)))) || null;
+}
+
+async function listNotebookEntries() {
+  const db = await openNotebookDb();
+  const cards = await idbRequest(db.transaction(NOTEBOOK_STORE).objectStore(NOTEBOOK_STORE).getAll());
+  return cards.sort((a, b) => b.createdAt - a.createdAt);
+}
+
+// Cards due now, the most overdue first
+async function listDueNotebookEntries(now = Date.now()) {
+  const db = await openNotebookDb();
+  const index = db.transaction(NOTEBOOK_STORE).objectStore(NOTEBOOK_STORE).index('due');
+  return idbRequest(index.getAll(IDBKeyRange.upperBound(now)));
+}
+
+// Resolves to the updated card, or null when there is no such card
+async function reviewNotebookEntry(id, grade) {
+  const db = await openNotebookDb();
+  const tx = db.transaction(NOTEBOOK_STORE, 'readwrite');
+  const store = tx.objectStore(NOTEBOOK_STORE);
+  const card = await idbRequest(store.get(id));
+  if (!card) {
+    await idbTransactionDone(tx);
+    return null;
+  }
+  const now = Date.now();
+  Object.assign(card, scheduleReview(card, grade, now));
+  card.history.push({ at: now, grade, interval: card.interval });
+  store.put(card);
+  await idbTransactionDone(tx);
+  return card;
+}
+
+async function deleteNotebookEntry(id) {
+  const db = await openNotebookDb();
+  const tx = db.transaction(NOTEBOOK_STORE, 'readwrite');
+  tx.objectStore(NOTEBOOK_STORE).delete(id);
+  await idbTransactionDone(tx);
+}
+
+// The page URL of an imported card or history entry (also used by history.js and review.js):
+// only http(s), anything else (javascript:, garbage) becomes ''
+function safePageUrl(value) {
+  if (typeof value !== 'string' || !value) return '';
+  try {
+    const url = new URL(value);
+    return url.protocol === 'http:' || url.protocol === 'https:' ? url.href : '';
+  } catch (err) {
+    return '';
+  }
+}
+
+// Imported cards are checked field by field: anything unusable gets its default
+function normalizeImportedCard(raw) {
+  if (!raw || typeof raw !== 'object') return null;
+  const original = typeof raw.original === 'string' ? raw.original.trim() : '';
+  const translation = typeof raw.translation === 'string' ? raw.translation.trim() : '';
+  if (!original || !translation) return null;
+  const text = (value) => (typeof value === 'string' ? value : '');
+  const number = (value, fallback, min = 0) => (Number.isFinite(value) && value >= min ? value : fallback);
+  const now = Date.now();
+  const target = text(raw.target) || null;
+  return {
+    id: text(raw.id) || crypto.randomUUID(),
+    key: notebookKey(original, target),
+    original,
+    translation,
+    context: text(raw.context),
+    url: safePageUrl(raw.url),
+    title: text(raw.title),
+    source: text(raw.source) || null,
+    target,
+    analysis: raw.analysis && typeof raw.analysis === 'object' ? raw.analysis : null,
+    createdAt: number(raw.createdAt, now),
+    updatedAt: number(raw.updatedAt, now),
+    ease: number(raw.ease, SM2_INITIAL_EASE, SM2_MIN_EASE),
+    interval: number(raw.interval, 0),
+    repetitions: Math.floor(number(raw.repetitions, 0)),
+    due: number(raw.due, now),
+    history: (Array.isArray(raw.history) ? raw.history : [])
+      .filter((review) => Number.isFinite(review?.at) && REVIEW_GRADES.includes(review.grade))
+      .map(({ at, grade, interval }) => ({ at, grade, interval: number(interval, 0) }))
+  };
+}
+
+// The same word from two notebooks: the most recently updated content, both review histories,
+// and the schedule of the copy reviewed last
+function mergeNotebookCards(saved, imported) {
+  const lastReview = (card) => (card.history.length ? card.history[card.history.length - 1].at : 0);
+  const content = imported.updatedAt > saved.updatedAt ? imported : saved;
+  const schedule = lastReview(imported) > lastReview(saved) ? imported : saved;
+  const history = new Map();
+  saved.history.concat(imported.history).forEach((review) => history.set(`${review.at}|${review.grade}`, review));
+  return {
+    ...content,
+    id: saved.id,
+    key: saved.key,
+    analysis: content.analysis || saved.analysis || imported.analysis,
+    createdAt: Math.min(saved.createdAt, imported.createdAt),
+    ease: schedule.ease,
+    interval: schedule.interval,
+    repetitions: schedule.repetitions,
+    due: schedule.due,
+    history: [...history.values()].sort((a, b) => a.at - b.at)
+  };
+}
+
+// Resolves to { added, merged, skipped }
+async function importNotebookEntries(cards) {
+  const db = await openNotebookDb();
+  const tx = db.transaction(NOTEBOOK_STORE, 'readwrite');
+  const store = tx.objectStore(NOTEBOOK_STORE);
+  const counts = { added: 0, merged: 0, skipped: 0 };
+  for (const raw of cards) {
+    const card = normalizeImportedCard(raw);
+    if (!card) {
+      counts.skipped++;
+      continue;
+    }
+    const saved = await idbRequest(store.index('key').get(card.key));
+    if (saved) {
+      store.put(mergeNotebookCards(saved, card));
+      counts.merged++;
+    } else {
+      // an id already taken by another word gets a new one
+      if (await idbRequest(store.count(card.id))) card.id = crypto.randomUUID();
+      store.put(card);
+      counts.added++;
+    }
+  }
+  await idbTransactionDone(tx);
+  return counts;
+}
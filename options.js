@@ -0,0 +1,552 @@
+// Options page: edits the settings defined in settings.js and checks the proxy connection
+
+const $ = (id) => document.getElementById(id);
+
+function setStatus(el, text, kind = '') {
+  el.textContent = text;
+  el.className = `st-status${kind ? ` st-${kind}` : ''}`;
+}
+
+function fillLanguageSelect(select) {
+  LANGUAGES.forEach(([code, name]) => {
+    const option = document.createElement('option');
+    option.value = code;
+    option.textContent = `${name} (${code})`;
+    select.appendChild(option);
+  });
+}
+
+// One row per proxy endpoint: URL, token, move up, remove, and a status line
+function createEndpointRow({ url = '', token = '' } = {}) {
+  const row = document.createElement('div');
+  row.className = 'st-endpoint';
+
+  const urlInput = document.createElement('input');
+  urlInput.type = 'url';
+  urlInput.className = 'st-endpoint-url';
+  urlInput.placeholder = 'https://your.vercel.app/api/translate';
+  urlInput.value = url;
+
+  const tokenInput = document.createElement('input');
+  tokenInput.type = 'password';
+  tokenInput.className = 'st-endpoint-token';
+  tokenInput.autocomplete = 'off';
+  tokenInput.placeholder = 'token (optional)';
+  tokenInput.value = token;
+
+  const up = document.createElement('button');
+  up.type = 'button';
+  up.className = 'st-btn st-btn-icon';
+  up.title = 'Try this endpoint earlier';
+  up.textContent = '↑';
+  up.addEventListener('click', () => {
+    if (row.previousElementSibling) row.parentNode.insertBefore(row, row.previousElementSibling);
+  });
+
+  const remove = document.createElement('button');
+  remove.type = 'button';
+  remove.className = 'st-btn st-btn-icon';
+  remove.title = 'Remove this endpoint';
+  remove.textContent = '✕';
+  remove.addEventListener('click', () => row.remove());
+
+  const status = document.createElement('span');
+  status.className = 'st-status st-endpoint-status';
+
+  const fields = document.createElement('div');
+  fields.className = 'st-row';
+  fields.append(urlInput, tokenInput, up, remove);
+  row.append(fields, status);
+  return row;
+}
+
+function createSelect(className, options, value) {
+  const select = document.createElement('select');
+  select.className = className;
+  options.forEach(([optionValue, label]) => select.appendChild(new Option(label, optionValue)));
+  select.value = value;
+  return select;
+}
+
+const languageOptions = (anyLabel) => [['', anyLabel], ...LANGUAGES.map(([code, name]) => [code, `${name} (${code})`])];
+
+// One row per site rule (see rules.js): host pattern, source language, and what it overrides
+function createRuleRow({ host = '', source = '', target = '', bubble = '', formality = '', analysis = '' } = {}) {
+  const row = document.createElement('div');
+  row.className = 'st-rule';
+
+  const hostInput = document.createElement('input');
+  hostInput.type = 'text';
+  hostInput.className = 'st-rule-host';
+  hostInput.placeholder = '*.example.com';
+  hostInput.value = host;
+
+  const remove = document.createElement('button');
+  remove.type = 'button';
+  remove.className = 'st-btn st-btn-icon';
+  remove.title = 'Remove this rule';
+  remove.textContent = '✕';
+  remove.addEventListener('click', () => row.remove());
+
+  const match = document.createElement('div');
+  match.className = 'st-row';
+  match.append(hostInput, createSelect('st-rule-source', languageOptions('Text in any language'), source), remove);
+
+  const effects = document.createElement('div');
+  effects.className = 'st-row';
+  effects.append(
+    createSelect('st-rule-target', languageOptions('Usual target'), target),
+    createSelect('st-rule-bubble', [['', 'Bubble: usual'], ['off', 'Bubble: off']], bubble),
+    createSelect('st-rule-formality', [['', 'Tone: as the source'], ['formal', 'Tone: formal'], ['informal', 'Tone: informal']], formality),
+    createSelect('st-rule-analysis', [['', 'Analysis: usual'], ['always', 'Analysis: always'], ['never', 'Analysis: never']], analysis)
+  );
+
+  row.append(match, effects);
+  return row;
+}
+
+function renderRules(rules) {
+  const list = $('siteRules');
+  list.textContent = '';
+  rules.forEach((rule) => list.appendChild(createRuleRow(rule)));
+}
+
+function readRules() {
+  const value = (row, className) => row.querySelector(`.${className}`).value;
+  return normalizeSiteRules([...$('siteRules').querySelectorAll('.st-rule')].map((row) => ({
+    host: value(row, 'st-rule-host'),
+    source: value(row, 'st-rule-source'),
+    target: value(row, 'st-rule-target'),
+    bubble: value(row, 'st-rule-bubble'),
+    formality: value(row, 'st-rule-formality'),
+    analysis: value(row, 'st-rule-analysis')
+  })));
+}
+
+// One row per glossary entry (see glossary.js): term, required translation, language
+function createGlossaryRow({ term = '', translation = '', lang = '' } = {}) {
+  const row = document.createElement('div');
+  row.className = 'st-rule st-glossary-entry';
+
+  const termInput = document.createElement('input');
+  termInput.type = 'text';
+  termInput.className = 'st-glossary-term';
+  termInput.placeholder = 'Term';
+  termInput.value = term;
+
+  const translationInput = document.createElement('input');
+  translationInput.type = 'text';
+  translationInput.className = 'st-glossary-translation';
+  translationInput.placeholder = 'Do not translate';
+  translationInput.value = translation;
+
+  const remove = document.createElement('button');
+  remove.type = 'button';
+  remove.className = 'st-btn st-btn-icon';
+  remove.title = 'Remove this term';
+  remove.textContent = '✕';
+  remove.addEventListener('click', () => row.remove());
+
+  const fields = document.createElement('div');
+  fields.className = 'st-row';
+  fields.append(termInput, translationInput, createSelect('st-glossary-lang', languageOptions('Every language'), lang), remove);
+  row.appendChild(fields);
+  return row;
+}
+
+// The glossary as last rendered from storage (see renderedForm)
+let renderedGlossary = '';
+
+function renderGlossary(entries) {
+  const list = $('glossary');
+  list.textContent = '';
+  entries.forEach((entry) => list.appendChild(createGlossaryRow(entry)));
+  renderedGlossary = JSON.stringify(readGlossary());
+}
+
+function readGlossary() {
+  const value = (row, className) => row.querySelector(`.${className}`).value;
+  return normalizeGlossary([...$('glossary').querySelectorAll('.st-glossary-entry')].map((row) => ({
+    term: value(row, 'st-glossary-term'),
+    translation: value(row, 'st-glossary-translation'),
+    lang: value(row, 'st-glossary-lang')
+  })));
+}
+
+// Host patterns: a hostname, "*.domain" or "*" (see hostMatchesPattern in rules.js)
+function isValidHostPattern(host) {
+  return host === '*' || /^(\*\.)?[a-z0-9-]+(\.[a-z0-9-]+)*$/.test(host);
+}
+
+function validateRules(rules) {
+  const invalid = rules.find(({ host }) => !isValidHostPattern(host));
+  return invalid ? `"${invalid.host}" is not a valid site pattern` : null;
+}
+
+function validateHostPatterns(patterns) {
+  const invalid = patterns.find((pattern) => !isValidHostPattern(pattern));
+  return invalid ? `"${invalid}" is not a valid site pattern` : null;
+}
+
+function renderEndpoints(endpoints) {
+  const list = $('proxyEndpoints');
+  list.textContent = '';
+  endpoints.forEach((endpoint) => list.appendChild(createEndpointRow(endpoint)));
+  renderProxyHealth();
+}
+
+function readEndpoints() {
+  return [...$('proxyEndpoints').querySelectorAll('.st-endpoint')]
+    .map((row) => ({
+      row,
+      url: row.querySelector('.st-endpoint-url').value.trim(),
+      token: row.querySelector('.st-endpoint-token').value.trim()
+    }))
+    .filter(({ url }) => url);
+}
+
+// Health as tracked by the background worker (its circuit breakers)
+async function renderProxyHealth() {
+  const resp = await chrome.runtime.sendMessage({ type: 'GET_PROXY_HEALTH' }).catch(() => null);
+  if (!resp?.endpoints) return;
+  readEndpoints().forEach(({ row, url }) => {
+    const health = resp.endpoints.find((endpoint) => endpoint.url === url);
+    const status = row.querySelector('.st-endpoint-status');
+    if (!health || health.state === 'healthy') setStatus(status, '');
+    else if (health.state === 'degraded') setStatus(status, `Failing, paused for ${health.retryAfter}s`, 'error');
+    else setStatus(status, 'Recovering: the next request will test it');
+  });
+}
+
+// Chrome loads the Web Speech voices asynchronously
+function getSpeechVoices() {
+  const voices = speechSynthesis.getVoices();
+  if (voices.length) return Promise.resolve(voices);
+  return new Promise((resolve) => {
+    const done = () => resolve(speechSynthesis.getVoices());
+    speechSynthesis.addEventListener('voiceschanged', done, { once: true });
+    setTimeout(done, 1000);
+  });
+}
+
+// One select per supported language that has browser voices: "Automatic" or a voice (by voiceURI)
+async function renderVoicePickers(speechVoices) {
+  const container = $('speechVoices');
+  const voices = await getSpeechVoices();
+  container.textContent = '';
+  LANGUAGES.forEach(([code, name]) => {
+    const matching = voices.filter((voice) => voice.lang.toLowerCase().split(/[-_]/)[0] === code);
+    if (!matching.length) return;
+    const label = document.createElement('label');
+    label.className = 'st-field';
+    const caption = document.createElement('span');
+    caption.textContent = name;
+    const select = document.createElement('select');
+    select.dataset.lang = code;
+    select.appendChild(new Option('Automatic', ''));
+    matching.forEach((voice) => select.appendChild(new Option(`${voice.name} (${voice.lang})`, voice.voiceURI)));
+    select.value = matching.some((voice) => voice.voiceURI === speechVoices[code]) ? speechVoices[code] : '';
+    label.append(caption, select);
+    container.appendChild(label);
+  });
+  if (!container.children.length) {
+    const hint = document.createElement('p');
+    hint.className = 'st-hint';
+    hint.textContent = 'This browser has no speech voices for the supported languages.';
+    container.appendChild(hint);
+  }
+}
+
+function readVoicePickers() {
+  const speechVoices = {};
+  $('speechVoices').querySelectorAll('select').forEach((select) => {
+    if (select.value) speechVoices[select.dataset.lang] = select.value;
+  });
+  return speechVoices;
+}
+
+const setValue = (id) => (value) => { $(id).value = value; };
+const setChecked = (id) => (value) => { $(id).checked = !!value; };
+
+// How each setting shown in the form is rendered
+const SETTING_RENDERERS = {
+  targetLang: setValue('targetLang'),
+  secondaryLang: setValue('secondaryLang'),
+  ...Object.fromEntries(Object.values(TRANSLATION_STYLE_SETTINGS).map((key) => [key, setValue(key)])),
+  detailedAnalysis: setChecked('detailedAnalysis'),
+  proxyEndpoints: renderEndpoints,
+  siteRules: renderRules,
+  ttsSource: setValue('ttsSource'),
+  speechRate: (value) => { $('speechRate').value = String(value); },
+  slowRepeat: setChecked('slowRepeat'),
+  speechVoices: renderVoicePickers,
+  bubbleEnabled: setChecked('bubbleEnabled'),
+  bubbleAutoHideSec: setValue('bubbleAutoHideSec'),
+  cacheTtlHours: setValue('cacheTtlHours'),
+  cacheMaxMb: setValue('cacheMaxMb'),
+  analysisCacheTtlHours: setValue('analysisCacheTtlHours'),
+  analysisCacheMaxMb: setValue('analysisCacheMaxMb'),
+  audioCacheTtlHours: setValue('audioCacheTtlHours'),
+  audioCacheMaxMb: setValue('audioCacheMaxMb'),
+  historyEnabled: setChecked('historyEnabled'),
+  historyExcludeIncognito: setChecked('historyExcludeIncognito'),
+  historyExcludedSites: (value) => { $('historyExcludedSites').value = value.join('\n'); }
+};
+
+// The form values as last rendered from storage: a field that still holds them has not been
+// edited by the user, and can be refreshed when the setting changes elsewhere
+let renderedForm = {};
+
+async function renderSettings(settings, keys = Object.keys(SETTING_RENDERERS)) {
+  await Promise.all(keys.map((key) => SETTING_RENDERERS[key](settings[key])));
+  const form = readForm();
+  keys.forEach((key) => { renderedForm[key] = JSON.stringify(form[key]); });
+}
+
+// A setting changed from another context (e.g. the speed buttons of the popup): refresh its
+// field, unless the user is editing it here
+async function refreshSettings(changedKeys) {
+  const settings = await loadSettings();
+  const form = readForm();
+  const untouched = changedKeys.filter((key) => key in SETTING_RENDERERS && JSON.stringify(form[key]) === renderedForm[key]);
+  if (untouched.length) await renderSettings(settings, untouched);
+}
+
+// Accept https everywhere, plain http only for a proxy running on this machine
+function validateProxyUrl(value) {
+  if (!value) return null;
+  let url;
+  try {
+    url = new URL(value);
+  } catch (err) {
+    return 'Proxy URL is not a valid URL';
+  }
+  const isLocal = ['localhost', '127.0.0.1', '[::1]'].includes(url.hostname);
+  if (url.protocol !== 'https:' && !(url.protocol === 'http:' && isLocal)) {
+    return 'Proxy URL must use https (http is only allowed for localhost)';
+  }
+  return null;
+}
+
+function readNumber(id, min, max) {
+  const value = Number($(id).value);
+  if (!Number.isFinite(value)) return null;
+  return Math.min(Math.max(Math.round(value), min), max);
+}
+
+function readForm() {
+  return {
+    targetLang: $('targetLang').value,
+    secondaryLang: $('secondaryLang').value,
+    translationFormality: $('translationFormality').value,
+    translationFidelity: $('translationFidelity').value,
+    translationDomain: $('translationDomain').value,
+    detailedAnalysis: $('detailedAnalysis').checked,
+    proxyEndpoints: readEndpoints().map(({ url, token }) => ({ url, token })),
+    siteRules: readRules(),
+    ttsSource: $('ttsSource').value,
+    speechRate: Number($('speechRate').value),
+    slowRepeat: $('slowRepeat').checked,
+    speechVoices: readVoicePickers(),
+    bubbleEnabled: $('bubbleEnabled').checked,
+    bubbleAutoHideSec: readNumber('bubbleAutoHideSec', 0, 120) ?? SETTINGS_DEFAULTS.bubbleAutoHideSec,
+    cacheTtlHours: readNumber('cacheTtlHours', 0, 720) ?? SETTINGS_DEFAULTS.cacheTtlHours,
+    cacheMaxMb: readNumber('cacheMaxMb', 1, 500) ?? SETTINGS_DEFAULTS.cacheMaxMb,
+    analysisCacheTtlHours: readNumber('analysisCacheTtlHours', 0, 8760) ?? SETTINGS_DEFAULTS.analysisCacheTtlHours,
+    analysisCacheMaxMb: readNumber('analysisCacheMaxMb', 1, 500) ?? SETTINGS_DEFAULTS.analysisCacheMaxMb,
+    audioCacheTtlHours: readNumber('audioCacheTtlHours', 0, 8760) ?? SETTINGS_DEFAULTS.audioCacheTtlHours,
+    audioCacheMaxMb: readNumber('audioCacheMaxMb', 1, 500) ?? SETTINGS_DEFAULTS.audioCacheMaxMb,
+    historyEnabled: $('historyEnabled').checked,
+    historyExcludeIncognito: $('historyExcludeIncognito').checked,
+    historyExcludedSites: normalizeHostPatterns($('historyExcludedSites').value.split('\n'))
+  };
+}
+
+async function save() {
+  const values = readForm();
+  const error = values.proxyEndpoints.map(({ url }) => validateProxyUrl(url)).find(Boolean) ||
+    validateRules(values.siteRules) || validateHostPatterns(values.historyExcludedSites);
+  if (error) {
+    setStatus($('saveResult'), error, 'error');
+    return;
+  }
+  // the glossary goes first: storage.sync may refuse it (quota), and then nothing is saved
+  try {
+    await saveGlossary(readGlossary());
+  } catch (err) {
+    setStatus($('saveResult'), `Nothing was saved: the glossary could not be saved (${err.message})`, 'error');
+    return;
+  }
+  await saveSettings(values);
+  await renderSettings(await loadSettings());
+  renderGlossary(await loadGlossary());
+  setStatus($('saveResult'), 'Saved', 'ok');
+  setTimeout(() => setStatus($('saveResult'), ''), 2000);
+}
+
+// Send a tiny translation through one endpoint exactly like background.js does.
+// Resolves to [text, kind] for setStatus().
+async function testEndpoint({ url, token }, targetLang) {
+  const urlError = validateProxyUrl(url);
+  if (urlError) return [urlError, 'error'];
+
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), 15000);
+  try {
+    const headers = { 'Content-Type': 'application/json' };
+    if (token) headers['x-proxy-token'] = token;
+    const resp = await fetch(url, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify({ text: 'Hello', target: targetLang }),
+      signal: controller.signal
+    });
+    const data = await resp.json().catch(() => null);
+    if (!resp.ok) return [`Proxy error ${resp.status}${data?.error ? `: ${data.error}` : ''}`, 'error'];
+    if (!data?.translation) return ['The proxy answered but returned no translation', 'error'];
+    return [`✓ Connected — "Hello" → "${data.translation}"`, 'ok'];
+  } catch (err) {
+    return [err.name === 'AbortError' ? 'Request timed out' : `Request failed: ${err.message || err}`, 'error'];
+  } finally {
+    clearTimeout(timeout);
+  }
+}
+
+async function testProxy() {
+  const { targetLang } = readForm();
+  let endpoints = readEndpoints();
+  if (!endpoints.length) {
+    renderEndpoints(normalizeProxyEndpoints([]));
+    endpoints = readEndpoints();
+  }
+
+  $('testProxy').disabled = true;
+  await Promise.all(endpoints.map(async (endpoint) => {
+    const status = endpoint.row.querySelector('.st-endpoint-status');
+    setStatus(status, 'Testing…');
+    setStatus(status, ...(await testEndpoint(endpoint, targetLang)));
+  }));
+  $('testProxy').disabled = false;
+}
+
+function formatBytes(bytes) {
+  if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+const CACHE_LABELS = {
+  translations: 'Translations',
+  analyses: 'Analyses',
+  audio: 'Audio'
+};
+
+// Cache statistics come from the background worker, which owns the IndexedDB caches (cache.js)
+async function renderCacheStats() {
+  const list = $('cacheStats');
+  list.textContent = '';
+  const resp = await chrome.runtime.sendMessage({ type: 'GET_CACHE_STATS' }).catch(() => null);
+  if (!resp || resp.error) {
+    const item = document.createElement('li');
+    item.className = 'st-error';
+    item.textContent = 'Cache statistics are not available';
+    list.appendChild(item);
+    return;
+  }
+  Object.entries(CACHE_LABELS).forEach(([name, label]) => {
+    const stats = resp[name];
+    if (!stats) return;
+    const lookups = stats.hits + stats.misses;
+    const hitRate = lookups ? `${Math.round((stats.hits / lookups) * 100)}%` : '–';
+    const item = document.createElement('li');
+    item.textContent = `${label}: ${stats.entries} entries (${formatBytes(stats.bytes)}, ${stats.pinned} pinned) · ` +
+      `hit rate ${hitRate} (${stats.hits} hits, ${stats.misses} misses) · ${stats.evictions} evicted`;
+    list.appendChild(item);
+  });
+}
+
+async function clearCache(includePinned) {
+  if (includePinned && !confirm('Also remove the pinned entries?')) return;
+  $('clearCache').disabled = true;
+  $('clearPinned').disabled = true;
+  const resp = await chrome.runtime.sendMessage({ type: 'CLEAR_CACHE', includePinned }).catch(() => null);
+  $('clearCache').disabled = false;
+  $('clearPinned').disabled = false;
+  if (resp?.ok) setStatus($('clearCacheResult'), 'Cache cleared', 'ok');
+  else setStatus($('clearCacheResult'), 'Could not clear the cache', 'error');
+  setTimeout(() => setStatus($('clearCacheResult'), ''), 2000);
+  renderCacheStats();
+}
+
+async function clearTranslationHistory() {
+  if (!confirm('Delete every translation of the history?')) return;
+  const resp = await chrome.runtime.sendMessage({ type: 'HISTORY_CLEAR' }).catch(() => null);
+  if (resp?.ok) setStatus($('clearHistoryResult'), 'History cleared', 'ok');
+  else setStatus($('clearHistoryResult'), 'Could not clear the history', 'error');
+  setTimeout(() => setStatus($('clearHistoryResult'), ''), 2000);
+}
+
+async function exportHistory(format) {
+  const status = $('historyExchangeStatus');
+  const resp = await chrome.runtime.sendMessage({ type: 'HISTORY_EXPORT' }).catch(() => null);
+  if (!resp || resp.error) return setStatus(status, 'The history is not available', 'error');
+  const { entries } = resp;
+  if (!entries.length) return setStatus(status, 'The history is empty');
+  const name = `smarttranslate-history-${new Date().toISOString().slice(0, 10)}`;
+  if (format === 'anki') downloadFile(`${name}.txt`, historyToAnkiTsv(entries), 'text/plain;charset=utf-8');
+  else if (format === 'csv') downloadFile(`${name}.csv`, historyToCsv(entries), 'text/csv;charset=utf-8');
+  else downloadFile(`${name}.json`, historyToJson(entries), 'application/json');
+  setStatus(status, `Exported ${entries.length} translation${entries.length === 1 ? '' : 's'}`, 'ok');
+}
+
+async function importHistory(file) {
+  const status = $('historyExchangeStatus');
+  let entries;
+  try {
+    entries = parseHistoryJson(await file.text());
+  } catch (err) {
+    return setStatus(status, err.message, 'error');
+  }
+  const resp = await chrome.runtime.sendMessage({ type: 'HISTORY_IMPORT', entries }).catch(() => null);
+  if (!resp || resp.error) {
+    return setStatus(status, resp?.error === 'import_too_large'
+      ? `Too many translations: at most ${resp.max} can be imported at once`
+      : 'Could not import the history', 'error');
+  }
+  setStatus(status, `Imported: ${resp.added} new, ${resp.merged} already there` +
+    (resp.skipped ? `, ${resp.skipped} skipped (missing text, translation or date)` : ''), 'ok');
+}
+
+document.addEventListener('DOMContentLoaded', async () => {
+  fillLanguageSelect($('targetLang'));
+  fillLanguageSelect($('secondaryLang'));
+  // '' is the proxy default for each style option
+  const styleDefaults = { formality: 'As the source', fidelity: 'Default (literal)', domain: 'General' };
+  Object.entries(TRANSLATION_STYLE_SETTINGS).forEach(([option, key]) => {
+    [['', styleDefaults[option]], ...TRANSLATION_STYLES[option]].forEach(([value, label]) => $(key).appendChild(new Option(label, value)));
+  });
+  SPEECH_RATES.forEach((rate) => $('speechRate').appendChild(new Option(`${rate}×`, String(rate))));
+  await renderSettings(await loadSettings());
+  renderGlossary(await loadGlossary());
+  $('save').addEventListener('click', save);
+  $('testProxy').addEventListener('click', testProxy);
+  $('addEndpoint').addEventListener('click', () => $('proxyEndpoints').appendChild(createEndpointRow()));
+  $('addRule').addEventListener('click', () => $('siteRules').appendChild(createRuleRow()));
+  $('addGlossaryEntry').addEventListener('click', () => $('glossary').appendChild(createGlossaryRow()));
+  $('clearCache').addEventListener('click', () => clearCache(false));
+  $('clearPinned').addEventListener('click', () => clearCache(true));
+  $('clearHistory').addEventListener('click', clearTranslationHistory);
+  $('exportHistoryAnki').addEventListener('click', () => exportHistory('anki'));
+  $('exportHistoryCsv').addEventListener('click', () => exportHistory('csv'));
+  $('exportHistoryJson').addEventListener('click', () => exportHistory('json'));
+  $('importHistoryJson').addEventListener('change', (e) => {
+    const [file] = e.target.files;
+    e.target.value = '';
+    if (file) importHistory(file);
+  });
+  renderCacheStats();
+  // keep the form in sync if the settings are changed from another window
+  onSettingsChanged(refreshSettings);
+  onGlossaryChanged(async () => {
+    if (JSON.stringify(readGlossary()) === renderedGlossary) renderGlossary(await loadGlossary());
+  });
+});
@@ -0,0 +1,146 @@
+// Toolbar popup: the translation history kept by the background worker (history.js), searched
+// as you type and filtered by site and target language. "Reopen" shows a translation again in
+// the popup of the current tab.
+
+const $ = (id) => document.getElementById(id);
+
+const SEARCH_DELAY_MS = 200;
+const HISTORY_PAGE_SIZE = 200;
+
+let _searchTimer = null;
+
+function sendMessage(message) {
+  return chrome.runtime.sendMessage(message).catch(() => null);
+}
+
+function languageName(code) {
+  return LANGUAGES.find(([lang]) => lang === code)?.[1] || code.toUpperCase();
+}
+
+function formatAge(at) {
+  const minutes = Math.round((Date.now() - at) / 60000);
+  if (minutes < 1) return 'just now';
+  if (minutes < 60) return `${minutes} min ago`;
+  const hours = Math.round(minutes / 60);
+  if (hours < 24) return `${hours} h ago`;
+  return new Date(at).toLocaleDateString();
+}
+
+// Keep the filter options in sync with the history, preserving the current choice
+function fillFilter(select, values, label) {
+  const current = select.value;
+  while (select.options.length > 1) select.remove(1);
+  values.forEach((value) => select.appendChild(new Option(label(value), value)));
+  select.value = values.includes(current) ? current : '';
+}
+
+async function reopenEntry(entry) {
+  const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+  const resp = await sendMessage({ type: 'HISTORY_REOPEN', id: entry.id, tabId: tab?.id });
+  if (resp?.ok) {
+    window.close();
+    return;
+  }
+  $('historyStatus').textContent = resp?.error === 'unsupported_page'
+    ? 'The translation popup cannot be shown on this page'
+    : 'Could not reopen this translation';
+}
+
+function createActionButton(label, title, onClick) {
+  const btn = document.createElement('button');
+  btn.type = 'button';
+  btn.className = 'st-btn st-btn-icon';
+  btn.title = title;
+  btn.textContent = label;
+  btn.addEventListener('click', onClick);
+  return btn;
+}
+
+function renderEntry(entry) {
+  const item = document.createElement('li');
+  const text = document.createElement('div');
+  text.className = 'st-history-text';
+
+  const original = document.createElement('div');
+  original.className = 'st-history-original';
+  original.textContent = entry.original;
+  const translation = document.createElement('div');
+  translation.className = 'st-history-translation';
+  translation.textContent = entry.translation;
+  text.append(original, translation);
+
+  if (entry.context && entry.context !== entry.original) {
+    const context = document.createElement('div');
+    context.className = 'st-history-context';
+    context.textContent = entry.context;
+    text.appendChild(context);
+  }
+
+  const meta = document.createElement('div');
+  meta.className = 'st-history-meta';
+  const languages = [entry.source, entry.target].filter(Boolean).map((code) => code.toUpperCase()).join(' → ');
+  meta.append(`${formatAge(entry.at)} · ${languages}`);
+  if (entry.url) {
+    const link = document.createElement('a');
+    link.href = entry.url;
+    link.target = '_blank';
+    link.rel = 'noopener';
+    link.title = entry.title || entry.url;
+    link.textContent = entry.host;
+    meta.append(' · ', link);
+  }
+  text.appendChild(meta);
+
+  const actions = document.createElement('div');
+  actions.className = 'st-history-actions';
+  actions.append(
+    createActionButton('↗', 'Reopen in the popup', () => reopenEntry(entry)),
+    createActionButton('✕', 'Delete from the history', async () => {
+      await sendMessage({ type: 'HISTORY_DELETE', id: entry.id });
+      search();
+    })
+  );
+
+  item.append(text, actions);
+  return item;
+}
+
+async function search() {
+  const resp = await sendMessage({
+    type: 'HISTORY_SEARCH',
+    query: $('historyQuery').value,
+    host: $('historyHost').value,
+    target: $('historyTarget').value,
+    limit: HISTORY_PAGE_SIZE
+  });
+  const list = $('historyList');
+  const status = $('historyStatus');
+  list.textContent = '';
+  if (!resp || resp.error) {
+    status.textContent = 'The history is not available';
+    return;
+  }
+  fillFilter($('historyHost'), resp.hosts, (host) => host);
+  fillFilter($('historyTarget'), resp.languages, languageName);
+  if (!resp.total) {
+    const filtered = $('historyQuery').value.trim() || $('historyHost').value || $('historyTarget').value;
+    if (filtered) status.textContent = 'No translations match.';
+    else if (!(await loadSettings()).historyEnabled) status.textContent = 'The history is turned off in the settings.';
+    else status.textContent = 'No translations yet: they appear here as you translate.';
+    return;
+  }
+  status.textContent = resp.total > resp.entries.length
+    ? `${resp.total} translations, showing the latest ${resp.entries.length}`
+    : `${resp.total} translation${resp.total === 1 ? '' : 's'}`;
+  resp.entries.forEach((entry) => list.appendChild(renderEntry(entry)));
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+  $('historyQuery').addEventListener('input', () => {
+    clearTimeout(_searchTimer);
+    _searchTimer = setTimeout(search, SEARCH_DELAY_MS);
+  });
+  $('historyHost').addEventListener('change', search);
+  $('historyTarget').addEventListener('change', search);
+  search();
+});
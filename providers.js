@@ -0,0 +1,352 @@
+// Translation, analysis and TTS providers used by the proxy handler (translate.js).
+// Which provider serves which job is picked through the environment:
+//
+//   TRANSLATION_PROVIDER  openai (default) | openai-compatible | libretranslate | deepl
+//   ANALYSIS_PROVIDER     openai (default) | openai-compatible — analysis needs a chat model
+//
+//   openai             OPENAI_API_KEY, OPENAI_MODEL (default gpt-3.5-turbo), OPENAI_BASE_URL
+//   openai-compatible  LOCAL_LLM_URL (e.g. http://localhost:11434/v1 for Ollama,
+//                      http://localhost:8080/v1 for llama.cpp), LOCAL_LLM_MODEL, LOCAL_LLM_KEY
+//   libretranslate     LIBRETRANSLATE_URL, LIBRETRANSLATE_KEY
+//   deepl              DEEPL_API_KEY, DEEPL_API_URL (default https://api-free.deepl.com/v2)
+//   elevenlabs (TTS)   ELEVENLABS_KEY or ELEVEN_API_KEY, ELEVEN_VOICE_ID
+//   PROVIDER_TIMEOUT_MS  time allowed to a provider for a whole (non-streamed) reply (default 30000)
+//
+// translate({ text, target, context, previousTranslation, formality, fidelity, domain, glossary,
+// onDelta, signal }) resolves to { translation, detectedSource? }: providers that identify the
+// source language report it as { language, confidence } (confidence 0-1, or null when not
+// given). LibreTranslate has no formality option and ignores it. The previous translation,
+// fidelity, domain and glossary only reach the chat models (through the prompt): the machine
+// translation providers ignore them, and the extension flags the glossary terms their
+// translation missed.
+//
+// Every provider failure is thrown as a ProviderError carrying the same error shapes the
+// handler has always returned ({ error: 'openai_error', detail } / { error: 'no_translation', raw }).
+// A provider that does not answer in time is an openai_error too, with status 504.
+import { buildTranslationMessages, buildReminderMessage, detectIgnoredInstruction } from './prompts.js';
+
+export class ProviderError extends Error {
+  constructor(code, { status = 502, detail, raw, provider, extra } = {}) {
+    super(typeof detail === 'string' && detail ? detail : code);
+    this.name = 'ProviderError';
+    this.code = code;
+    this.status = status;
+    this.detail = detail;
+    this.raw = raw;
+    this.provider = provider;
+    this.extra = extra;
+  }
+
+  toJSON() {
+    const body = { error: this.code };
+    if (this.detail !== undefined) body.detail = this.detail;
+    if (this.raw !== undefined) body.raw = this.raw;
+    if (this.provider) body.provider = this.provider;
+    return { ...body, ...this.extra };
+  }
+}
+
+function misconfigured(provider, detail) {
+  return new ProviderError('server_misconfigured', { status: 500, detail, provider });
+}
+
+// POST JSON to a provider; network failures, timeouts and non-OK statuses become `openai_error`
+async function postJson(provider, url, headers, body) {
+  const timeoutMs = Number(process.env.PROVIDER_TIMEOUT_MS) || 30000;
+  let resp;
+  try {
+    resp = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: JSON.stringify(body),
+      signal: AbortSignal.timeout(timeoutMs)
+    });
+  } catch (err) {
+    if (err?.name === 'TimeoutError') {
+      throw new ProviderError('openai_error', { status: 504, detail: 'provider_timeout', provider });
+    }
+    throw new ProviderError('openai_error', { detail: String(err?.message || err), provider });
+  }
+  if (!resp.ok) {
+    const txt = await resp.text().catch(() => '');
+    console.error(`${provider} error:`, resp.status, txt);
+    throw new ProviderError('openai_error', { detail: txt, provider });
+  }
+  return resp.json().catch(() => {
+    throw new ProviderError('openai_error', { detail: 'Provider returned invalid JSON', provider });
+  });
+}
+
+// ===== CHAT COMPLETION PROVIDERS (OpenAI and OpenAI-compatible servers) =====
+
+// Room for the translation of `text`: about one token per 1.5 characters covers scripts
+// that tokenize poorly, so the reply is not cut short (the proxy chunks long texts anyway)
+function estimateMaxTokens(text) {
+  return Math.min(4096, Math.max(256, Math.ceil(text.length / 1.5) + 100));
+}
+
+function createChatProvider({ name, baseUrl, apiKey, model }) {
+  const endpoint = `${baseUrl.replace(/\/+$/, '')}/chat/completions`;
+
+  async function chat({ messages, maxTokens, temperature = 0, json = false }) {
+    const body = { model, messages, max_tokens: maxTokens, temperature };
+    if (json) body.response_format = { type: 'json_object' }; // Force JSON mode if supported
+    const headers = apiKey ? { 'Authorization': `Bearer ${apiKey}` } : {};
+    const data = await postJson(name, endpoint, headers, body);
+    return {
+      content: data?.choices?.[0]?.message?.content || '',
+      finishReason: data?.choices?.[0]?.finish_reason || null,
+      raw: data
+    };
+  }
+
+  // Same as chat() but with `stream: true`: calls onDelta(text) for every token received
+  async function streamChat({ messages, maxTokens, temperature = 0, signal }, onDelta) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (apiKey) headers['Authorization'] = `Bearer ${apiKey}`;
+    let resp;
+    try {
+      resp = await fetch(endpoint, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify({ model, messages, max_tokens: maxTokens, temperature, stream: true }),
+        signal
+      });
+    } catch (err) {
+      throw new ProviderError('openai_error', { detail: String(err?.message || err), provider: name });
+    }
+    if (!resp.ok) {
+      const txt = await resp.text().catch(() => '');
+      console.error(`${name} error:`, resp.status, txt);
+      throw new ProviderError('openai_error', { detail: txt, provider: name });
+    }
+
+    // the body is a server-sent event stream of `data: {chunk}` lines ending with `data: [DONE]`
+    const decoder = new TextDecoder();
+    let buffer = '';
+    let content = '';
+    let finishReason = null;
+    const handleLine = (line) => {
+      const data = line.trim();
+      if (!data.startsWith('data:')) return;
+      const payload = data.slice(5).trim();
+      if (payload === '[DONE]') return;
+      try {
+        const choice = JSON.parse(payload)?.choices?.[0];
+        if (choice?.finish_reason) finishReason = choice.finish_reason;
+        const delta = choice?.delta?.content;
+        if (delta) {
+          content += delta;
+          onDelta(delta);
+        }
+      } catch (e) {
+        // keep-alive comments or partial garbage: skip
+      }
+    };
+    for await (const chunk of resp.body) {
+      buffer += decoder.decode(chunk, { stream: true });
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+      lines.forEach(handleLine);
+    }
+    // the last line, when the server did not end it with a newline
+    handleLine(buffer + decoder.decode());
+    return { content, finishReason, raw: null };
+  }
+
+  // With `onDelta` the translation is streamed: onDelta(text) receives each piece as it arrives
+  async function translate({ text, target, context, previousTranslation, formality, fidelity, domain, glossary, onDelta, signal }) {
+    const { messages, tags, temperature } = buildTranslationMessages({
+      text, target, context, previousTranslation, formality, fidelity, domain, glossary
+    });
+    const maxTokens = estimateMaxTokens(text);
+    let { content, raw, finishReason } = onDelta
+      ? await streamChat({ messages, maxTokens, temperature, signal }, onDelta)
+      : await chat({ messages, maxTokens, temperature });
+    let translation = content.trim();
+    if (finishReason === 'length') {
+      throw new ProviderError('no_translation', { detail: 'translation_truncated', raw, provider: name });
+    }
+
+    // The page text may carry instructions of its own: if the reply does not look like a
+    // translation, retry once with a reminder before giving up (a stream cannot be taken back)
+    let ignored = translation && detectIgnoredInstruction({ source: text, output: translation, tags });
+    if (ignored && !onDelta) {
+      console.warn(`${name} reply ignored the translation instruction (${ignored}), retrying`);
+      ({ content, raw } = await chat({ messages: [...messages, buildReminderMessage(tags)], maxTokens, temperature }));
+      translation = content.trim();
+      ignored = translation && detectIgnoredInstruction({ source: text, output: translation, tags });
+    }
+    if (ignored) {
+      throw new ProviderError('no_translation', { detail: `instruction_ignored: ${ignored}`, raw, provider: name });
+    }
+    if (!translation) throw new ProviderError('no_translation', { raw, provider: name });
+    return { translation };
+  }
+
+  return { name, model, chat, streamChat, translate };
+}
+
+function createOpenAIProvider() {
+  const apiKey = process.env.OPENAI_API_KEY;
+  if (!apiKey) throw misconfigured('openai', 'Missing OPENAI_API_KEY in server env');
+  return createChatProvider({
+    name: 'openai',
+    baseUrl: process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1',
+    apiKey,
+    model: process.env.OPENAI_MODEL || 'gpt-3.5-turbo'
+  });
+}
+
+function createOpenAICompatibleProvider() {
+  const baseUrl = process.env.LOCAL_LLM_URL;
+  if (!baseUrl) throw misconfigured('openai-compatible', 'Missing LOCAL_LLM_URL in server env');
+  return createChatProvider({
+    name: 'openai-compatible',
+    baseUrl,
+    apiKey: process.env.LOCAL_LLM_KEY || null,
+    model: process.env.LOCAL_LLM_MODEL || 'local-model'
+  });
+}
+
+// ===== MACHINE TRANSLATION PROVIDERS =====
+
+function createLibreTranslateProvider() {
+  const baseUrl = process.env.LIBRETRANSLATE_URL;
+  if (!baseUrl) throw misconfigured('libretranslate', 'Missing LIBRETRANSLATE_URL in server env');
+  const name = 'libretranslate';
+
+  // no streaming API: the whole translation is delivered as a single onDelta piece
+  async function translate({ text, target, onDelta }) {
+    const body = { q: text, source: 'auto', target, format: 'text' };
+    if (process.env.LIBRETRANSLATE_KEY) body.api_key = process.env.LIBRETRANSLATE_KEY;
+    const data = await postJson(name, `${baseUrl.replace(/\/+$/, '')}/translate`, {}, body);
+    const translation = typeof data?.translatedText === 'string' ? data.translatedText.trim() : '';
+    if (!translation) throw new ProviderError('no_translation', { raw: data, provider: name });
+    onDelta?.(translation);
+    // with source "auto" LibreTranslate reports what it detected (confidence 0-100)
+    const detected = data.detectedLanguage;
+    if (!detected?.language) return { translation };
+    const confidence = Number.isFinite(detected.confidence) ? detected.confidence / 100 : null;
+    return { translation, detectedSource: { language: detected.language, confidence } };
+  }
+
+  return { name, model: 'libretranslate', translate };
+}
+
+// DeepL wants regional variants for a few target languages
+const DEEPL_TARGETS = { en: 'EN-US', pt: 'PT-PT', zh: 'ZH-HANS' };
+
+function createDeepLProvider() {
+  const apiKey = process.env.DEEPL_API_KEY;
+  if (!apiKey) throw misconfigured('deepl', 'Missing DEEPL_API_KEY in server env');
+  const baseUrl = process.env.DEEPL_API_URL || 'https://api-free.deepl.com/v2';
+  const name = 'deepl';
+
+  // no streaming API: the whole translation is delivered as a single onDelta piece
+  async function translate({ text, target, context, formality, onDelta }) {
+    const code = String(target).toLowerCase();
+    const body = { text: [text], target_lang: DEEPL_TARGETS[code] || code.toUpperCase() };
+    if (context) body.context = context; // DeepL uses it to disambiguate, it is not translated
+    // the "prefer_" variants fall back to the default for languages without formality support
+    if (formality) body.formality = formality === 'formal' ? 'prefer_more' : 'prefer_less';
+    const headers = { 'Authorization': `DeepL-Auth-Key ${apiKey}` };
+    const data = await postJson(name, `${baseUrl.replace(/\/+$/, '')}/translate`, headers, body);
+    const translation = data?.translations?.[0]?.text?.trim();
+    if (!translation) throw new ProviderError('no_translation', { raw: data, provider: name });
+    onDelta?.(translation);
+    // DeepL always detects the source language, without a confidence
+    const detected = data.translations[0].detected_source_language;
+    if (!detected) return { translation };
+    return { translation, detectedSource: { language: detected.toLowerCase(), confidence: null } };
+  }
+
+  return { name, model: 'deepl', translate };
+}
+
+const TRANSLATION_PROVIDERS = {
+  'openai': createOpenAIProvider,
+  'openai-compatible': createOpenAICompatibleProvider,
+  'libretranslate': createLibreTranslateProvider,
+  'deepl': createDeepLProvider
+};
+
+const ANALYSIS_PROVIDERS = {
+  'openai': createOpenAIProvider,
+  'openai-compatible': createOpenAICompatibleProvider
+};
+
+function pickProvider(registry, envName) {
+  const id = (process.env[envName] || 'openai').toLowerCase();
+  const create = registry[id];
+  if (!create) throw misconfigured(id, `Unknown ${envName} "${id}"`);
+  return create();
+}
+
+export function getTranslationProvider() {
+  return pickProvider(TRANSLATION_PROVIDERS, 'TRANSLATION_PROVIDER');
+}
+
+export function getAnalysisProvider() {
+  return pickProvider(ANALYSIS_PROVIDERS, 'ANALYSIS_PROVIDER');
+}
+
+// ===== TTS =====
+
+export function getTtsProvider(voice) {
+  const apiKey = process.env.ELEVENLABS_KEY || process.env.ELEVEN_API_KEY || null;
+  const voiceId = process.env.ELEVEN_VOICE_ID || voice || null;
+  if (!apiKey || !voiceId) {
+    throw new ProviderError('tts_not_configured', {
+      status: 500,
+      detail: 'Missing ELEVENLABS_KEY or ELEVEN_VOICE_ID in server env',
+      provider: 'elevenlabs'
+    });
+  }
+  const name = 'elevenlabs';
+
+  async function synthesize({ text }) {
+    let resp;
+    try {
+      resp = await fetch(`https://api.elevenlabs.io/v1/text-to-speech/${voiceId}`, {
+        method: 'POST',
+        headers: {
+          'Accept': 'audio/mpeg',
+          'Content-Type': 'application/json',
+          'xi-api-key': apiKey
+        },
+        body: JSON.stringify({ text, model_id: 'eleven_multilingual_v2' })
+      });
+    } catch (err) {
+      console.error('ElevenLabs TTS error:', err);
+      throw new ProviderError('tts_failed', { provider: name, extra: { message: String(err?.message || err) } });
+    }
+
+    if (!resp.ok) {
+      const txt = await resp.text().catch(() => '');
+      throw new ProviderError('eleven_error', { detail: txt, provider: name, extra: { status: resp.status } });
+    }
+
+    const arrayBuffer = await resp.arrayBuffer();
+    return { audio: Buffer.from(arrayBuffer).toString('base64'), mime: 'audio/mpeg' };
+  }
+
+  return { name, synthesize };
+}
+
+// Non-secret summary of the configured providers, used by the health endpoint
+export function describeProviders() {
+  const describe = (getter) => {
+    try {
+      const provider = getter();
+      return { provider: provider.name, configured: true };
+    } catch (err) {
+      return { provider: err.provider || null, configured: false };
+    }
+  };
+  return {
+    translation: describe(getTranslationProvider),
+    analysis: describe(getAnalysisProvider),
+    tts: describe(() => getTtsProvider())
+  };
+}
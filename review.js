@@ -0,0 +1,269 @@
+// Review page of the vocabulary notebook: the due cards one at a time, first the word in its
+// sentence, then its translation, analysis and review history, graded Again / Hard / Good / Easy.
+// The cards are kept by the background worker (notebook.js, whose scheduleReview() also runs
+// here to show when each grade would bring the card back). Export and import: see exchange.js.
+
+const $ = (id) => document.getElementById(id);
+
+const GRADE_LABELS = { 1: 'Again', 3: 'Hard', 4: 'Good', 5: 'Easy' };
+
+let _due = [];
+let _current = null;
+
+function sendMessage(message) {
+  return chrome.runtime.sendMessage(message).catch(() => null);
+}
+
+function formatDelay(ms) {
+  const minutes = Math.round(ms / 60000);
+  if (minutes < 60) return `${Math.max(minutes, 1)} min`;
+  const hours = Math.round(minutes / 60);
+  if (hours < 24) return `${hours} h`;
+  const days = Math.round(hours / 24);
+  return days === 1 ? '1 day' : `${days} days`;
+}
+
+// The sentence with the saved word marked
+function renderContext(el, context, word) {
+  el.textContent = '';
+  const index = context.toLowerCase().indexOf(word.toLowerCase());
+  if (index === -1) {
+    el.textContent = context;
+    return;
+  }
+  const mark = document.createElement('mark');
+  mark.textContent = context.slice(index, index + word.length);
+  el.append(context.slice(0, index), mark, context.slice(index + word.length));
+}
+
+function addParagraph(container, text) {
+  const p = document.createElement('p');
+  p.textContent = text;
+  container.appendChild(p);
+  return p;
+}
+
+function renderDetails(card) {
+  const details = $('reviewDetails');
+  details.textContent = '';
+  const { analysis } = card;
+  if (analysis?.explanation) addParagraph(details, analysis.explanation);
+  if (analysis?.synonyms?.length) addParagraph(details, `Synonyms: ${analysis.synonyms.join(', ')}`);
+  (analysis?.examples || []).forEach((example) => addParagraph(details, `“${example}”`));
+  // cards imported by an earlier version may hold any URL
+  const page = safePageUrl(card.url);
+  if (page) {
+    const p = addParagraph(details, 'From ');
+    const link = document.createElement('a');
+    link.href = page;
+    link.target = '_blank';
+    link.rel = 'noopener';
+    link.textContent = card.title || new URL(page).hostname;
+    p.appendChild(link);
+  }
+  const last = card.history[card.history.length - 1];
+  addParagraph(details, last
+    ? `Reviewed ${card.history.length} time${card.history.length === 1 ? '' : 's'} · last: ${GRADE_LABELS[last.grade]}, ${formatDelay(Date.now() - last.at)} ago`
+    : 'New card');
+}
+
+function showCard(card) {
+  $('reviewCard').hidden = false;
+  $('reviewBack').hidden = true;
+  $('showAnswer').hidden = false;
+  $('reviewFront').textContent = card.original;
+  renderContext($('reviewContext'), card.context || '', card.original);
+  $('reviewTranslation').textContent = card.translation;
+  renderDetails(card);
+  // when each grade would bring the card back
+  document.querySelectorAll('.st-review-grades [data-grade]').forEach((btn) => {
+    const grade = Number(btn.dataset.grade);
+    const { due } = scheduleReview(card, grade);
+    btn.textContent = '';
+    const hint = document.createElement('small');
+    hint.textContent = formatDelay(due - Date.now());
+    btn.append(GRADE_LABELS[grade], hint);
+  });
+}
+
+function nextCard() {
+  _current = _due.shift() || null;
+  if (!_current) {
+    $('reviewCard').hidden = true;
+    $('reviewStatus').textContent = 'No cards to review right now.';
+    return;
+  }
+  $('reviewStatus').textContent = `${_due.length + 1} card${_due.length ? 's' : ''} to review`;
+  showCard(_current);
+}
+
+async function loadDueCards() {
+  const resp = await sendMessage({ type: 'NOTEBOOK_LIST', due: true });
+  if (!resp || resp.error) {
+    $('reviewStatus').textContent = 'The notebook is not available';
+    return;
+  }
+  _due = resp.cards.sort((a, b) => a.due - b.due);
+  nextCard();
+}
+
+async function gradeCard(grade) {
+  if (!_current) return;
+  const resp = await sendMessage({ type: 'NOTEBOOK_REVIEW', id: _current.id, grade });
+  if (!resp || resp.error) {
+    $('reviewStatus').textContent = 'Could not save the review';
+    return;
+  }
+  // a failed card comes back at the end of this session
+  if (resp.card.repetitions === 0) _due.push(resp.card);
+  nextCard();
+  renderNotebookList();
+}
+
+async function renderNotebookList() {
+  const list = $('notebookList');
+  const resp = await sendMessage({ type: 'NOTEBOOK_LIST' });
+  list.textContent = '';
+  if (!resp || resp.error || !resp.cards.length) {
+    const item = document.createElement('li');
+    item.textContent = 'No saved words yet: use 📒 in the translation popup.';
+    list.appendChild(item);
+    return;
+  }
+  resp.cards.forEach((card) => {
+    const item = document.createElement('li');
+    const word = document.createElement('span');
+    word.className = 'st-notebook-word';
+    word.textContent = `${card.original} — ${card.translation}`;
+    const meta = document.createElement('span');
+    meta.className = 'st-notebook-meta';
+    meta.textContent = card.due <= Date.now() ? 'due' : `in ${formatDelay(card.due - Date.now())}`;
+    const remove = document.createElement('button');
+    remove.type = 'button';
+    remove.className = 'st-btn st-btn-icon';
+    remove.title = 'Delete this word';
+    remove.textContent = '✕';
+    remove.addEventListener('click', async () => {
+      if (!confirm(`Delete "${card.original}" from the notebook?`)) return;
+      await sendMessage({ type: 'NOTEBOOK_DELETE', id: card.id });
+      _due = _due.filter((due) => due.id !== card.id);
+      if (_current?.id === card.id) nextCard();
+      renderNotebookList();
+    });
+    item.append(word, meta, remove);
+    list.appendChild(item);
+  });
+}
+
+function exportFileName(extension) {
+  return `smarttranslate-notebook-${new Date().toISOString().slice(0, 10)}.${extension}`;
+}
+
+// Every pronunciation missing from the audio cache is a paid text-to-speech request to the
+// proxy: from this many on the user is asked first, and one export makes at most the second
+const EXPORT_AUDIO_CONFIRM_COUNT = 20;
+const EXPORT_AUDIO_MAX_REQUESTS = 200;
+
+// Pronunciations for the Anki export: those in the audio cache first, then the missing ones, one
+// request at a time. A word whose audio cannot be had is exported without it; `failed` counts
+// the requests that did not bring any. Resolves to { audioById, failed }.
+async function fetchExportAudio(cards, status) {
+  const audioById = new Map();
+  const missing = [];
+  let failed = 0;
+  for (const [index, card] of cards.entries()) {
+    status.textContent = `Looking up pronunciations… ${index + 1}/${cards.length}`;
+    const resp = await sendMessage({ type: 'GET_CACHED_TTS', text: card.original });
+    if (resp?.audio) audioById.set(card.id, { audio: resp.audio, mime: resp.mime });
+    else missing.push(card);
+  }
+  if (!missing.length) return { audioById, failed };
+
+  let toFetch = missing.slice(0, EXPORT_AUDIO_MAX_REQUESTS);
+  if (toFetch.length >= EXPORT_AUDIO_CONFIRM_COUNT) {
+    const which = toFetch.length < missing.length ? `the first ${toFetch.length}` : 'them';
+    if (!confirm(`${missing.length} words have no pronunciation yet. Generate ${which} with the text-to-speech of the proxy (one request per word)?\n\nCancel exports without the missing audio.`)) {
+      toFetch = [];
+    }
+  }
+  for (const [index, card] of toFetch.entries()) {
+    status.textContent = `Generating pronunciations… ${index + 1}/${toFetch.length}`;
+    const resp = await sendMessage({ type: 'GET_TTS', text: card.original });
+    if (resp?.error === 'tts_not_configured') break; // the proxy has no text-to-speech at all
+    if (resp?.audio) audioById.set(card.id, { audio: resp.audio, mime: resp.mime });
+    else failed++;
+  }
+  return { audioById, failed };
+}
+
+async function exportNotebook(format) {
+  const status = $('exchangeStatus');
+  const resp = await sendMessage({ type: 'NOTEBOOK_LIST' });
+  if (!resp || resp.error) {
+    status.textContent = 'The notebook is not available';
+    return;
+  }
+  if (!resp.cards.length) {
+    status.textContent = 'The notebook is empty';
+    return;
+  }
+  const { cards } = resp;
+  let withoutAudio = 0;
+  let audioFailed = 0;
+  if (format === 'anki') {
+    let audioById;
+    if ($('exportAudio').checked) {
+      ({ audioById, failed: audioFailed } = await fetchExportAudio(cards, status));
+      withoutAudio = cards.length - audioById.size;
+    }
+    downloadFile(exportFileName('txt'), notebookToAnkiTsv(cards, audioById), 'text/plain;charset=utf-8');
+  } else if (format === 'csv') {
+    downloadFile(exportFileName('csv'), notebookToCsv(cards), 'text/csv;charset=utf-8');
+  } else {
+    downloadFile(exportFileName('json'), notebookToJson(cards), 'application/json');
+  }
+  status.textContent = `Exported ${cards.length} word${cards.length === 1 ? '' : 's'}` +
+    (withoutAudio ? ` (${withoutAudio} without pronunciation${audioFailed ? `, ${audioFailed} failed to generate` : ''})` : '');
+}
+
+async function importNotebook(file) {
+  const status = $('exchangeStatus');
+  let cards;
+  try {
+    cards = parseNotebookJson(await file.text());
+  } catch (err) {
+    status.textContent = err.message;
+    return;
+  }
+  const resp = await sendMessage({ type: 'NOTEBOOK_IMPORT', cards });
+  if (!resp || resp.error) {
+    status.textContent = resp?.error === 'import_too_large'
+      ? `Too many words: at most ${resp.max} can be imported at once`
+      : 'Could not import the notebook';
+    return;
+  }
+  status.textContent = `Imported: ${resp.added} new, ${resp.merged} merged` +
+    (resp.skipped ? `, ${resp.skipped} skipped (missing word or translation)` : '');
+  loadDueCards();
+  renderNotebookList();
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+  $('showAnswer').addEventListener('click', () => {
+    $('reviewBack').hidden = false;
+    $('showAnswer').hidden = true;
+  });
+  document.querySelectorAll('.st-review-grades [data-grade]').forEach((btn) => {
+    btn.addEventListener('click', () => gradeCard(Number(btn.dataset.grade)));
+  });
+  $('exportAnki').addEventListener('click', () => exportNotebook('anki'));
+  $('exportCsv').addEventListener('click', () => exportNotebook('csv'));
+  $('exportJson').addEventListener('click', () => exportNotebook('json'));
+  $('importJson').addEventListener('change', (e) => {
+    const [file] = e.target.files;
+    e.target.value = '';
+    if (file) importNotebook(file);
+  });
+  loadDueCards();
+  renderNotebookList();
+});
@@ -0,0 +1,65 @@
+// Site rules (the `siteRules` setting, edited in the options page). A rule matches a hostname
+// pattern and, optionally, the source language of the text; it can override the target
+// language, turn the ✦ bubble off, pick a formal or informal tone, or force the detailed
+// analysis on or off. Every matching rule applies in list order: a later rule overrides what an
+// earlier one set. Loaded before content.js, whose _settings and detectTextLanguage() it uses;
+// the background worker loads it too, for hostMatchesPattern() (history exclusions).
+
+// "docs.example.com" matches that host only, "*.example.com" the domain and its subdomains,
+// "*" every site
+function hostMatchesPattern(pattern, hostname) {
+  if (!pattern) return false;
+  if (pattern === '*') return true;
+  const host = hostname.toLowerCase();
+  if (pattern.startsWith('*.')) {
+    const domain = pattern.slice(2);
+    return host === domain || host.endsWith(`.${domain}`);
+  }
+  return host === pattern;
+}
+
+function siteRuleApplies(rule, hostname, source) {
+  if (!hostMatchesPattern(rule.host, hostname)) return false;
+  // a rule for a source language only applies to text known to be in that language
+  return !rule.source || (!!source && rule.source === source.split('-')[0].toLowerCase());
+}
+
+// { target?, bubbleOff?, formality?, detailedAnalysis? } from the rules matching this page and
+// `source` (null: the source language is not known, only rules without one apply)
+function siteRulesFor(source = null, hostname = location.hostname) {
+  const overrides = {};
+  (_settings.siteRules || []).forEach((rule) => {
+    if (!siteRuleApplies(rule, hostname, source)) return;
+    if (rule.target) overrides.target = rule.target;
+    if (rule.bubble === 'off') overrides.bubbleOff = true;
+    if (rule.formality) overrides.formality = rule.formality;
+    if (rule.analysis) overrides.detailedAnalysis = rule.analysis === 'always';
+  });
+  return overrides;
+}
+
+// Whether a rule of this page depends on the source language: only then is the text detected
+function siteRulesNeedSource(hostname = location.hostname) {
+  return (_settings.siteRules || []).some((rule) => rule.source && hostMatchesPattern(rule.host, hostname));
+}
+
+// Rules for a selection, detecting its language when some rule depends on it
+async function siteRulesForText(text) {
+  const source = siteRulesNeedSource() ? await detectTextLanguage(text) : null;
+  return siteRulesFor(source);
+}
+
+// Rules for the page as a whole (full-page and bilingual modes), by its declared language
+function siteRulesForPage() {
+  return siteRulesFor(document.documentElement.lang || null);
+}
+
+// { formality, fidelity, domain } of a translation: the tone of the rules, else the defaults of
+// the options page (null: the proxy default)
+function translationStyleFor(rules) {
+  return {
+    formality: rules.formality || _settings.translationFormality || null,
+    fidelity: _settings.translationFidelity || null,
+    domain: _settings.translationDomain || null
+  };
+}
@@ -0,0 +1,276 @@
+// JSON schemas for the structured output we ask the models for, plus a small validator and the
+// request that sends a reply failing it back to the model once (requestValidatedJson).
+// Validation is strict (unknown properties are dropped, wrong types are reported) but
+// coerces the harmless mistakes models make: numbers given as strings, a single string
+// instead of a list, null for an optional field.
+//
+// Schema nodes:
+//   { type: 'string', maxLength, enum }      { type: 'integer', min }
+//   { type: 'array', items, maxItems }       { type: 'object', properties, required: [...] }
+
+// Parse a model reply that should be a JSON object; tolerates code fences and chatter around it.
+// Returns { value } or { error: 'hint' }.
+export function parseModelJson(content) {
+  // Remove markdown code fences if present
+  const cleaned = String(content || '').trim()
+    .replace(/^```(?:json)?\s*/i, '')
+    .replace(/```\s*$/i, '');
+
+  let parsed;
+  try {
+    parsed = JSON.parse(cleaned);
+  } catch (e) {
+    // Try to extract JSON from text
+    const jsonMatch = cleaned.match(/\{[\s\S]*\}/);
+    if (!jsonMatch) return { error: 'No JSON structure found in response' };
+    try {
+      parsed = JSON.parse(jsonMatch[0]);
+    } catch (e2) {
+      return { error: 'Could not parse model output as JSON' };
+    }
+  }
+
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+    return { error: 'Parsed result is not an object' };
+  }
+  return { value: parsed };
+}
+
+// Ask a chat provider for a JSON object and check it with `check(parsed) -> { value, errors }`.
+// If the reply does not validate, the errors are sent back to the model for one repair attempt.
+// Resolves to { value, error }: `error` is the invalid_analysis body when problems remain,
+// `value` whatever passed validation on the last attempt (if anything).
+export async function requestValidatedJson({ provider, messages, maxTokens, temperature, check }) {
+  let conversation = messages;
+  let result = null;
+  for (let attempt = 0; attempt < 2; attempt++) {
+    const { content } = await provider.chat({ messages: conversation, maxTokens, temperature, json: true });
+    const parsed = parseModelJson(content);
+    if (parsed.error) {
+      result = { error: { error: 'invalid_analysis', hint: parsed.error, fields: [], raw: content } };
+    } else {
+      const { value, errors } = check(parsed.value);
+      if (value && !errors.length) return { value };
+      result = { value, error: { error: 'invalid_analysis', fields: errors, raw: content } };
+    }
+
+    const problems = result.error.hint
+      ? `- ${result.error.hint}`
+      : result.error.fields.map((e) => `- ${e.path || '(root)'}: ${e.message}`).join('\n');
+    conversation = [
+      ...messages,
+      { role: 'assistant', content },
+      {
+        role: 'user',
+        content: `Your JSON did not pass validation:\n${problems}\nReturn the corrected JSON object only, with the same structure.`
+      }
+    ];
+  }
+  console.error('Model JSON failed validation:', JSON.stringify(result.error.fields || result.error.hint));
+  return result;
+}
+
+function describe(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+function validateNode(schema, value, path, errors) {
+  switch (schema.type) {
+    case 'string': {
+      if (typeof value === 'number' || typeof value === 'boolean') value = String(value);
+      if (typeof value !== 'string') {
+        errors.push({ path, message: `expected string, got ${describe(value)}` });
+        return undefined;
+      }
+      value = value.trim();
+      if (schema.enum) {
+        const match = schema.enum.find((option) => option === value.toLowerCase());
+        if (!match) {
+          errors.push({ path, message: `expected one of ${schema.enum.join(', ')}` });
+          return undefined;
+        }
+        value = match;
+      }
+      if (schema.maxLength && value.length > schema.maxLength) value = value.substring(0, schema.maxLength);
+      return value;
+    }
+    case 'integer': {
+      const num = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+      if (typeof num !== 'number' || !Number.isInteger(num)) {
+        errors.push({ path, message: `expected integer, got ${describe(value)}` });
+        return undefined;
+      }
+      if (schema.min !== undefined && num < schema.min) {
+        errors.push({ path, message: `must be >= ${schema.min}` });
+        return undefined;
+      }
+      return num;
+    }
+    case 'array': {
+      if (!Array.isArray(value)) {
+        // a lone item where a list was expected
+        if (value !== null && typeof value !== 'object' && schema.items.type === 'string') value = [value];
+        else {
+          errors.push({ path, message: `expected array, got ${describe(value)}` });
+          return undefined;
+        }
+      }
+      const items = [];
+      value.slice(0, schema.maxItems || value.length).forEach((item, i) => {
+        const result = validateNode(schema.items, item, `${path}[${i}]`, errors);
+        if (result !== undefined && result !== '') items.push(result);
+      });
+      return items;
+    }
+    case 'object': {
+      if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        errors.push({ path, message: `expected object, got ${describe(value)}` });
+        return undefined;
+      }
+      const out = {};
+      const required = schema.required || [];
+      let complete = true;
+      Object.entries(schema.properties).forEach(([key, propSchema]) => {
+        const propPath = path ? `${path}.${key}` : key;
+        const result = value[key] === undefined || value[key] === null || value[key] === ''
+          ? undefined
+          : validateNode(propSchema, value[key], propPath, errors);
+        if (result !== undefined) out[key] = result;
+        else if (required.includes(key)) {
+          if (value[key] === undefined || value[key] === null || value[key] === '') {
+            errors.push({ path: propPath, message: 'is required' });
+          }
+          complete = false;
+        }
+      });
+      // an object missing a required property is dropped as a whole
+      return complete ? out : undefined;
+    }
+    default:
+      throw new Error(`Unknown schema type ${schema.type}`);
+  }
+}
+
+// Returns { value, errors }; `value` only holds what passed validation and is
+// undefined when the root object itself is unusable
+export function validate(schema, value) {
+  const errors = [];
+  const result = validateNode(schema, value, '', errors);
+  return { value: result, errors };
+}
+
+const stringList = (maxItems) => ({ type: 'array', items: { type: 'string' }, maxItems });
+
+// Rendered by renderDetailedAnalysis() in content.js
+export const DETAILED_ANALYSIS_SCHEMA = {
+  type: 'object',
+  required: ['explanation'],
+  properties: {
+    clarification: { type: 'string', maxLength: 300 },
+    explanation: { type: 'string' },
+    literalTranslation: { type: 'string' },
+    deepMeaning: { type: 'string' },
+    sentenceStructure: {
+      type: 'object',
+      required: ['words'],
+      properties: {
+        words: {
+          type: 'array',
+          maxItems: 40,
+          items: {
+            type: 'object',
+            required: ['word', 'role'],
+            properties: {
+              position: { type: 'integer', min: 1 },
+              word: { type: 'string' },
+              baseForm: { type: 'string' },
+              role: { type: 'string' },
+              meaning: { type: 'string' },
+              notes: { type: 'string' }
+            }
+          }
+        }
+      }
+    },
+    synonyms: stringList(12),
+    examples: stringList(6),
+    confusables: stringList(6),
+    usageNotes: {
+      type: 'object',
+      properties: {
+        formality: { type: 'string' },
+        register: { type: 'string' },
+        frequency: { type: 'string' }
+      }
+    }
+  }
+};
+
+// Returned by the `analyze` action for a single word
+export const WORD_ANALYSIS_SCHEMA = {
+  type: 'object',
+  required: ['type', 'word', 'definition'],
+  properties: {
+    type: { type: 'string', enum: ['word'] },
+    word: { type: 'string' },
+    definition: { type: 'string' },
+    synonyms: stringList(12),
+    antonyms: stringList(12),
+    examples: stringList(6)
+  }
+};
+
+// Returned by the `analyze` action for a sentence; words[].index is the 0-based position
+// of the word among the words of `sentence` (see checkWordIndexes)
+export const SENTENCE_ANALYSIS_SCHEMA = {
+  type: 'object',
+  required: ['type', 'sentence', 'words', 'meaning'],
+  properties: {
+    type: { type: 'string', enum: ['sentence'] },
+    sentence: { type: 'string' },
+    words: {
+      type: 'array',
+      maxItems: 60,
+      items: {
+        type: 'object',
+        required: ['word', 'index', 'role'],
+        properties: {
+          word: { type: 'string' },
+          index: { type: 'integer', min: 0 },
+          role: { type: 'string' },
+          explanation: { type: 'string' }
+        }
+      }
+    },
+    meaning: { type: 'string' },
+    examples: stringList(6)
+  }
+};
+
+const WORD_PATTERN = /[\p{L}\p{N}]+(?:['’-][\p{L}\p{N}]+)*/gu;
+
+const normalizeWord = (word) => (String(word).match(WORD_PATTERN) || []).join(' ').toLowerCase();
+
+// Check words[].index against the sentence. An index that is merely off is corrected when the
+// word occurs elsewhere in the sentence; a word that is not in the sentence is an error.
+export function checkWordIndexes(analysis) {
+  const errors = [];
+  const tokens = (analysis.sentence.match(WORD_PATTERN) || []).map((token) => token.toLowerCase());
+  analysis.words.forEach((item, i) => {
+    const word = normalizeWord(item.word);
+    if (tokens[item.index] === word) return;
+    // multi-word items ("has been") are matched on their first word
+    const first = word.split(' ')[0];
+    if (tokens[item.index] === first) return;
+    const positions = tokens.reduce((acc, token, pos) => (token === first ? acc.concat(pos) : acc), []);
+    if (!positions.length) {
+      errors.push({ path: `words[${i}].word`, message: `"${item.word}" does not occur in the sentence` });
+      return;
+    }
+    // closest occurrence to the index the model gave
+    item.index = positions.reduce((best, pos) => (Math.abs(pos - item.index) < Math.abs(best - item.index) ? pos : best));
+  });
+  return errors;
+}
@@ -0,0 +1,122 @@
+// Standalone proxy server: mounts the same handler as the Vercel function (translate.js)
+// so the proxy can be self-hosted with `node server.js`.
+//
+// Environment (on top of the provider keys read by translate.js):
+//   PORT                  port to listen on (default 3000)
+//   CORS_ORIGINS          comma separated list of allowed origins, e.g.
+//                         "chrome-extension://<extension id>,https://intranet.example.com";
+//                         "*" allows any origin. Requests without an Origin header (curl,
+//                         server to server) are always accepted.
+//   RATE_LIMIT_WINDOW_MS  rate limit window in ms (default 60000)
+//   RATE_LIMIT_MAX        requests allowed per token (or per IP without a token) in a window (default 30)
+//   PROXY_TOKENS          comma separated list of the known x-proxy-token values, each with
+//                         its own rate limit; any other token is limited by IP
+//   TRUST_PROXY           set to the number of reverse proxies in front of the server so
+//                         that rate limiting sees the real client IP
+import crypto from 'node:crypto';
+import express from 'express';
+import cors from 'cors';
+import rateLimit from 'express-rate-limit';
+import handler from './translate.js';
+import { describeProviders } from './providers.js';
+
+// translate.js relies on the global fetch (Node 18+); fall back to node-fetch on older runtimes
+if (!globalThis.fetch) {
+  globalThis.fetch = (await import('node-fetch')).default;
+}
+
+const PORT = Number(process.env.PORT) || 3000;
+const CORS_ORIGINS = (process.env.CORS_ORIGINS || '')
+  .split(',')
+  .map((origin) => origin.trim())
+  .filter(Boolean);
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+const PROXY_TOKEN_HASHES = new Set((process.env.PROXY_TOKENS || '')
+  .split(',')
+  .map((token) => token.trim())
+  .filter(Boolean)
+  .map(hashToken));
+
+const app = express();
+app.disable('x-powered-by');
+if (process.env.TRUST_PROXY) app.set('trust proxy', Number(process.env.TRUST_PROXY) || 1);
+
+app.get('/healthz', (req, res) => {
+  res.json({
+    status: 'ok',
+    uptime: Math.round(process.uptime()),
+    providers: describeProviders()
+  });
+});
+
+const corsMiddleware = cors({
+  origin(origin, callback) {
+    if (!origin || CORS_ORIGINS.includes('*') || CORS_ORIGINS.includes(origin)) {
+      return callback(null, true);
+    }
+    const err = new Error(`Origin ${origin} is not allowed`);
+    err.status = 403;
+    err.code = 'origin_not_allowed';
+    callback(err);
+  },
+  methods: ['POST', 'OPTIONS'],
+  allowedHeaders: ['Content-Type', 'x-proxy-token']
+});
+
+// Rate limit per proxy token when a known one (PROXY_TOKENS) is sent, per client IP otherwise:
+// an unchecked token would let a client skip the limit by sending a new one every time.
+// Tokens are hashed so they are not kept around in memory in clear.
+const limiter = rateLimit({
+  windowMs: Number(process.env.RATE_LIMIT_WINDOW_MS) || 60 * 1000,
+  max: Number(process.env.RATE_LIMIT_MAX) || 30,
+  standardHeaders: true,
+  legacyHeaders: false,
+  keyGenerator: (req) => {
+    const token = req.get('x-proxy-token');
+    const hash = token ? hashToken(token) : null;
+    if (hash && PROXY_TOKEN_HASHES.has(hash)) return `token:${hash}`;
+    return `ip:${req.ip}`;
+  },
+  handler: (req, res, next, options) => {
+    res.status(options.statusCode).json({
+      error: 'rate_limited',
+      retryAfter: Math.ceil(options.windowMs / 1000)
+    });
+  }
+});
+
+// CORS is handled here, so translate.js must not add its own wildcard headers
+const markCorsHandled = (req, res, next) => {
+  res.locals.corsHandled = true;
+  next();
+};
+
+app.options('/api/translate', corsMiddleware);
+app.post('/api/translate', corsMiddleware, markCorsHandled, limiter, express.json({ limit: '1mb' }), handler);
+
+app.use((req, res) => {
+  res.status(404).json({ error: 'not_found' });
+});
+
+// express recognises error handlers by their four arguments
+app.use((err, req, res, next) => {
+  if (err.code === 'origin_not_allowed') {
+    return res.status(403).json({ error: 'origin_not_allowed' });
+  }
+  if (err.type === 'entity.parse.failed') {
+    return res.status(400).json({ error: 'invalid_json', detail: String(err.message) });
+  }
+  if (err.type === 'entity.too.large') {
+    return res.status(413).json({ error: 'payload_too_large' });
+  }
+  console.error('Server error:', err);
+  res.status(500).json({ error: 'proxy_failed', message: String(err?.message || err) });
+});
+
+app.listen(PORT, () => {
+  console.log(`SmartTranslate+ proxy listening on http://localhost:${PORT}/api/translate`);
+  if (!CORS_ORIGINS.length) {
+    console.warn('CORS_ORIGINS is empty: browser requests will be rejected');
+  }
+});
@@ -0,0 +1,153 @@
+// Shared user settings for the background worker, content script and options page.
+// Everything lives in chrome.storage.local; missing keys fall back to SETTINGS_DEFAULTS.
+
+const DEFAULT_PROXY_URL = 'https://smarttranslateplus-f5y4.vercel.app/api/translate';
+
+const SETTINGS_DEFAULTS = {
+  targetLang: 'it',
+  // used instead of targetLang for a selection that is already in targetLang
+  secondaryLang: 'en',
+  // proxies tried in this order, each with its own token: the first healthy one serves the
+  // request (see callProxy in background.js)
+  proxyEndpoints: [{ url: DEFAULT_PROXY_URL, token: '' }],
+  bubbleEnabled: true,
+  bubbleAutoHideSec: 6,
+  detailedAnalysis: true,
+  // default style of the translations, see TRANSLATION_STYLES ('' leaves it to the proxy);
+  // a site rule may override the tone, the popup chips any of them
+  translationFormality: '',
+  translationFidelity: '',
+  translationDomain: '',
+  // 'proxy': ElevenLabs through the proxy, falling back to the browser voices; 'browser': Web Speech only
+  ttsSource: 'proxy',
+  // Web Speech voice (voiceURI) chosen per language code, e.g. { it: 'Google italiano' }
+  speechVoices: {},
+  // reading speed (one of SPEECH_RATES); slowRepeat reads every text slowly, twice
+  speechRate: 1,
+  slowRepeat: false,
+  cacheTtlHours: 24,
+  cacheMaxMb: 20,
+  analysisCacheTtlHours: 168,
+  analysisCacheMaxMb: 10,
+  audioCacheTtlHours: 168,
+  audioCacheMaxMb: 50,
+  // hostnames where the bilingual reading mode is on (bilingual.js)
+  bilingualSites: [],
+  // per-site overrides, see rules.js and normalizeSiteRules below
+  siteRules: [],
+  // translation history (history.js): incognito tabs and the listed host patterns (as in the
+  // site rules) are never recorded
+  historyEnabled: true,
+  historyExcludeIncognito: true,
+  historyExcludedSites: []
+};
+
+// Style options of a translation, sent to the proxy as `formality`, `fidelity` and `domain`.
+// Without them the proxy keeps the register of the source and translates literally.
+const TRANSLATION_STYLES = {
+  formality: [['formal', 'Formal'], ['informal', 'Informal']],
+  fidelity: [['literal', 'Literal'], ['natural', 'Natural']],
+  domain: [['technical', 'Technical'], ['legal', 'Legal'], ['casual', 'Casual chat']]
+};
+// settings holding the default of each style option
+const TRANSLATION_STYLE_SETTINGS = {
+  formality: 'translationFormality',
+  fidelity: 'translationFidelity',
+  domain: 'translationDomain'
+};
+
+const SITE_RULE_BUBBLE = ['', 'off'];
+const SITE_RULE_FORMALITY = ['', 'formal', 'informal'];
+const SITE_RULE_ANALYSIS = ['', 'always', 'never'];
+
+// Languages offered in the options page; codes are passed as-is to the proxy as `target`
+const LANGUAGES = [
+  ['it', 'Italiano'],
+  ['en', 'English'],
+  ['es', 'Español'],
+  ['fr', 'Français'],
+  ['de', 'Deutsch'],
+  ['pt', 'Português'],
+  ['nl', 'Nederlands'],
+  ['pl', 'Polski'],
+  ['ru', 'Русский'],
+  ['uk', 'Українська'],
+  ['tr', 'Türkçe'],
+  ['ar', 'العربية'],
+  ['hi', 'हिन्दी'],
+  ['zh', '中文'],
+  ['ja', '日本語'],
+  ['ko', '한국어']
+];
+
+// Reading speeds offered by the popup and the options page
+const SPEECH_RATES = [0.5, 0.75, 1, 1.25, 1.5];
+
+// Endpoints with a URL, or the default proxy when none is configured
+function normalizeProxyEndpoints(endpoints) {
+  const list = (Array.isArray(endpoints) ? endpoints : [])
+    .map((endpoint) => ({ url: String(endpoint?.url || '').trim(), token: String(endpoint?.token || '').trim() }))
+    .filter((endpoint) => endpoint.url);
+  return list.length ? list : [{ url: DEFAULT_PROXY_URL, token: '' }];
+}
+
+// Rules as { host, source, target, bubble, formality, analysis }: '' leaves the setting alone.
+// Rules without a host pattern are dropped.
+function normalizeSiteRules(rules) {
+  const pick = (value, allowed) => (allowed.includes(value) ? value : '');
+  const code = (value) => String(value || '').trim().toLowerCase();
+  return (Array.isArray(rules) ? rules : [])
+    .map((rule) => ({
+      host: code(rule?.host),
+      source: code(rule?.source),
+      target: code(rule?.target),
+      bubble: pick(rule?.bubble, SITE_RULE_BUBBLE),
+      formality: pick(rule?.formality, SITE_RULE_FORMALITY),
+      analysis: pick(rule?.analysis, SITE_RULE_ANALYSIS)
+    }))
+    .filter((rule) => rule.host);
+}
+
+// Host patterns ("example.com", "*.example.com"), lowercase, without blanks nor duplicates
+function normalizeHostPatterns(patterns) {
+  const list = (Array.isArray(patterns) ? patterns : []).map((pattern) => String(pattern || '').trim().toLowerCase());
+  return [...new Set(list.filter(Boolean))];
+}
+
+function loadSettings() {
+  return new Promise((resolve) => {
+    // proxyUrl/proxyToken: the single proxy of earlier versions, read to migrate it
+    chrome.storage.local.get([...Object.keys(SETTINGS_DEFAULTS), 'proxyUrl', 'proxyToken'], (res) => {
+      const settings = { ...SETTINGS_DEFAULTS };
+      Object.keys(SETTINGS_DEFAULTS).forEach((key) => {
+        // empty strings mean "use the default" (e.g. a cleared proxy URL field)
+        if (res?.[key] !== undefined && res[key] !== '') settings[key] = res[key];
+      });
+      if (res?.proxyEndpoints === undefined && res?.proxyUrl) {
+        settings.proxyEndpoints = [{ url: res.proxyUrl, token: res.proxyToken || '' }];
+      }
+      settings.proxyEndpoints = normalizeProxyEndpoints(settings.proxyEndpoints);
+      settings.siteRules = normalizeSiteRules(settings.siteRules);
+      settings.historyExcludedSites = normalizeHostPatterns(settings.historyExcludedSites);
+      Object.entries(TRANSLATION_STYLE_SETTINGS).forEach(([option, key]) => {
+        if (!TRANSLATION_STYLES[option].some(([value]) => value === settings[key])) settings[key] = '';
+      });
+      resolve(settings);
+    });
+  });
+}
+
+function saveSettings(values) {
+  return new Promise((resolve) => {
+    chrome.storage.local.set(values, () => resolve());
+  });
+}
+
+// Calls `callback(changedKeys)` whenever one of the settings is modified from any context
+function onSettingsChanged(callback) {
+  chrome.storage.onChanged.addListener((changes, area) => {
+    if (area !== 'local') return;
+    const changed = Object.keys(changes).filter((key) => key in SETTINGS_DEFAULTS);
+    if (changed.length) callback(changed);
+  });
+}
@@ -0,0 +1,153 @@
+// Micro-batching of short translations and dedupe of identical requests (batching.js)
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadScript } from './load-script.js';
+
+const { createBatchQueue, createDedupe, splitBatchByGlossary } = loadScript('batching.js', [
+  'createBatchQueue', 'createDedupe', 'splitBatchByGlossary'
+]);
+
+const WINDOW_MS = 20;
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+const entries = (prefix, count) => Array.from({ length: count }, (_, i) => ({ term: `${prefix}${i}`, translation: '', lang: '' }));
+
+// A queue whose send() records the batches and answers every text with its upper case version
+function recordingQueue(options = {}) {
+  const sent = [];
+  const queue = createBatchQueue({
+    windowMs: WINDOW_MS,
+    maxItems: 5,
+    maxChars: 100,
+    maxGlossaryEntries: 100,
+    send: async ({ texts, glossary }, batch) => {
+      sent.push({ texts, glossary, batch });
+      return texts.map((text) => ({ data: { translation: text.toUpperCase() } }));
+    },
+    ...options
+  });
+  return { queue, sent };
+}
+
+test('texts queued within the window go out as one batch, and every caller gets its own result', async () => {
+  const { queue, sent } = recordingQueue();
+  const batch = { target: 'it', style: {} };
+  const results = await Promise.all(['one', 'two', 'three'].map((text) => queue.queue('it', batch, text)));
+
+  assert.deepEqual(results.map((result) => result.data.translation), ['ONE', 'TWO', 'THREE']);
+  assert.equal(sent.length, 1);
+  assert.deepEqual(sent[0].texts, ['one', 'two', 'three']);
+  assert.equal(sent[0].batch, batch);
+});
+
+test('texts for another target or style are batched apart', async () => {
+  const { queue, sent } = recordingQueue();
+  await Promise.all([
+    queue.queue('it|', { target: 'it' }, 'a'),
+    queue.queue('de|', { target: 'de' }, 'b'),
+    queue.queue('it|formal', { target: 'it' }, 'c'),
+    queue.queue('it|', { target: 'it' }, 'd')
+  ]);
+  assert.deepEqual(sent.map((batch) => batch.texts), [['a', 'd'], ['b'], ['c']]);
+});
+
+test('a batch is sent without waiting for the window once it is full', async () => {
+  const { queue, sent } = recordingQueue();
+  const results = ['1', '2', '3', '4', '5', '6'].map((text) => queue.queue('it', {}, text));
+  assert.equal(sent.length, 1);
+  assert.deepEqual(sent[0].texts, ['1', '2', '3', '4', '5']);
+
+  await Promise.all(results);
+  assert.deepEqual(sent.map((batch) => batch.texts), [['1', '2', '3', '4', '5'], ['6']]);
+});
+
+test('a text that would take the batch over the character cap starts a new one', async () => {
+  const { queue, sent } = recordingQueue();
+  await Promise.all(['a'.repeat(60), 'b'.repeat(30), 'c'.repeat(20), 'd'].map((text) => queue.queue('it', {}, text)));
+  assert.deepEqual(sent.map((batch) => batch.texts.map((text) => text[0])), [['a', 'b'], ['c', 'd']]);
+});
+
+test('the batch goes out after the window even if it is not full', async () => {
+  const { queue, sent } = recordingQueue();
+  queue.queue('it', {}, 'alone');
+  assert.equal(sent.length, 0);
+  await wait(WINDOW_MS * 3);
+  assert.equal(sent.length, 1);
+});
+
+test('items are split where their glossary entries would go over the limit', () => {
+  const item = (text, glossary) => ({ text, glossary });
+  const groups = splitBatchByGlossary([
+    item('a', entries('a', 60)),
+    item('b', entries('a', 60)), // the same entries: no new ones
+    item('c', entries('c', 40)),
+    item('d', entries('d', 1)),
+    item('e', [])
+  ], 100);
+  assert.deepEqual(groups.map((group) => group.items.map((it) => it.text)), [['a', 'b', 'c'], ['d', 'e']]);
+  assert.deepEqual(groups.map((group) => group.glossary.size), [100, 1]);
+});
+
+test('the same term for another language is another entry', () => {
+  const groups = splitBatchByGlossary([
+    { text: 'a', glossary: [{ term: 'API', translation: '', lang: '' }] },
+    { text: 'b', glossary: [{ term: 'api', translation: '', lang: 'it' }] }
+  ], 1);
+  assert.equal(groups.length, 2);
+});
+
+test('a batch whose glossary is over the limit is sent as several requests with their own entries', async () => {
+  const { queue, sent } = recordingQueue({ maxGlossaryEntries: 100 });
+  const results = await Promise.all([
+    queue.queue('it', {}, 'first', entries('x', 80)),
+    queue.queue('it', {}, 'second', entries('y', 80)),
+    queue.queue('it', {}, 'third', entries('x', 10))
+  ]);
+  assert.deepEqual(results.map((result) => result.data.translation), ['FIRST', 'SECOND', 'THIRD']);
+  assert.deepEqual(sent.map((batch) => batch.texts), [['first'], ['second', 'third']]);
+  assert.deepEqual(sent.map((batch) => batch.glossary.length), [80, 90]);
+});
+
+test('every waiting caller gets request_failed when the batch cannot be sent', async (t) => {
+  t.mock.method(console, 'error', () => {});
+  const { queue } = recordingQueue({ send: async () => { throw new Error('boom'); } });
+  const results = await Promise.all(['a', 'b', 'c'].map((text) => queue.queue('it', {}, text)));
+  assert.deepEqual(results, Array(3).fill({ error: 'request_failed', message: 'boom' }));
+});
+
+test('an error response of the proxy reaches every caller of the batch', async () => {
+  const failure = { error: 'proxy_error', status: 400, message: '{}' };
+  const { queue } = recordingQueue({ send: async ({ texts }) => texts.map(() => failure) });
+  const results = await Promise.all(['a', 'b'].map((text) => queue.queue('it', {}, text)));
+  assert.deepEqual(results, [failure, failure]);
+});
+
+test('identical requests in flight share one call, later ones make a new one', async () => {
+  const dedupe = createDedupe();
+  let calls = 0;
+  const run = async () => {
+    calls++;
+    await wait(5);
+    return { call: calls };
+  };
+  const [first, second, other] = await Promise.all([dedupe('k', run), dedupe('k', run), dedupe('other', run)]);
+  assert.equal(first, second);
+  assert.notEqual(first, other);
+  assert.equal(calls, 2);
+
+  await dedupe('k', run);
+  assert.equal(calls, 3);
+});
+
+test('a failed request is shared too, and then forgotten', async () => {
+  const dedupe = createDedupe();
+  let calls = 0;
+  const run = async () => {
+    calls++;
+    throw new Error('down');
+  };
+  const results = await Promise.allSettled([dedupe('k', run), dedupe('k', run)]);
+  assert.deepEqual(results.map((result) => result.reason.message), ['down', 'down']);
+  assert.equal(calls, 1);
+  await assert.rejects(dedupe('k', run));
+  assert.equal(calls, 2);
+});
@@ -0,0 +1,104 @@
+// Splitting of long texts into chunks, the context passed from one chunk to the next and the
+// reassembly of the translated chunks
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { splitIntoChunks, mapWithConcurrency, previousChunkContext, reassemble } from '../chunking.js';
+
+const join = (chunks) => chunks.map((chunk) => chunk.text + chunk.separator).join('');
+
+// Every chunk fits, none is empty, and together they give back the input
+function assertChunks(text, maxChars) {
+  const chunks = splitIntoChunks(text, maxChars);
+  chunks.forEach((chunk, i) => {
+    assert.equal(chunk.index, i);
+    assert.ok(chunk.text.length > 0, `chunk ${i} is empty`);
+    assert.ok(chunk.text.length <= maxChars, `chunk ${i} has ${chunk.text.length} chars`);
+  });
+  assert.equal(join(chunks), text);
+  return chunks;
+}
+
+const sentence = (n) => `This is sentence number ${n} of the text.`;
+
+test('a text within the limit is a single chunk', () => {
+  assert.deepEqual(splitIntoChunks('Hello world.\n', 100), [{ index: 0, text: 'Hello world.', separator: '\n' }]);
+});
+
+test('chunks break between paragraphs and keep the blank lines as separators', () => {
+  const paragraphs = [1, 2, 3].map((n) => `${sentence(n)} ${sentence(n + 10)}`);
+  const text = paragraphs.join('\n\n');
+  const chunks = assertChunks(text, paragraphs[0].length + 5);
+
+  assert.deepEqual(chunks.map((chunk) => chunk.text), paragraphs);
+  assert.deepEqual(chunks.map((chunk) => chunk.separator), ['\n\n', '\n\n', '']);
+});
+
+test('short paragraphs are packed together up to the limit', () => {
+  const text = ['One.', 'Two.', 'Three.', 'Four.'].join('\n\n');
+  const chunks = assertChunks(text, 12);
+  assert.deepEqual(chunks.map((chunk) => chunk.text), ['One.\n\nTwo.', 'Three.', 'Four.']);
+});
+
+test('a paragraph longer than the limit breaks at sentence ends', () => {
+  const text = [1, 2, 3, 4, 5, 6].map(sentence).join(' ');
+  const chunks = assertChunks(text, 100);
+  assert.ok(chunks.length > 1);
+  chunks.forEach((chunk) => assert.match(chunk.text, /\.$/));
+});
+
+test('questions, exclamations and closing quotes end a sentence too', () => {
+  const text = 'Is this the first sentence? "Yes, it is!" Then this one is the last one here.';
+  const chunks = assertChunks(text, 30);
+  assert.deepEqual(chunks.map((chunk) => chunk.text), ['Is this the first sentence?', '"Yes, it is!"', 'Then this one is the last one', 'here.']);
+});
+
+test('a sentence longer than the limit is cut at spaces, a word longer than the limit anywhere', () => {
+  const words = assertChunks('alpha beta gamma delta epsilon zeta eta theta', 12);
+  words.forEach((chunk) => assert.ok(!chunk.text.startsWith(' ')));
+  assert.deepEqual(words.map((chunk) => chunk.text), ['alpha beta', 'gamma delta', 'epsilon zeta', 'eta theta']);
+
+  assertChunks(`${'x'.repeat(25)} end`, 10);
+});
+
+test('Windows line endings and trailing whitespace survive the round trip', () => {
+  const text = `${sentence(1)}\r\n\r\n${sentence(2)}\r\n\r\n${sentence(3)}\r\n`;
+  const chunks = assertChunks(text, sentence(1).length + 2);
+  assert.equal(chunks.length, 3);
+  assert.equal(reassemble(chunks, chunks.map((chunk) => chunk.text.toUpperCase())), text.toUpperCase().trim());
+});
+
+test('reassemble keeps the order and the layout, and the original text of failed chunks', () => {
+  const chunks = splitIntoChunks('First part.\n\nSecond part.\n\nThird part.', 13);
+  assert.equal(chunks.length, 3);
+  assert.equal(reassemble(chunks, ['Prima parte.', undefined, 'Terza parte.']), 'Prima parte.\n\nSecond part.\n\nTerza parte.');
+  assert.equal(reassemble(chunks, []), 'First part.\n\nSecond part.\n\nThird part.');
+});
+
+test('previousChunkContext continues the previous translation, or gives its original text', () => {
+  const chunks = splitIntoChunks('First part.\n\nSecond part.\n\nThird part.', 13);
+  assert.deepEqual(previousChunkContext(chunks, 0, ['Prima parte.']), {});
+  assert.deepEqual(previousChunkContext(chunks, 1, ['Prima parte.']), { previousTranslation: 'Prima parte.' });
+  // the previous chunk is still being translated
+  assert.deepEqual(previousChunkContext(chunks, 2, ['Prima parte.']), { context: 'Second part.' });
+});
+
+test('previousChunkContext passes only the tail of a long previous chunk', () => {
+  const chunks = [{ text: 'a'.repeat(50) + 'END' }, { text: 'next' }];
+  assert.deepEqual(previousChunkContext(chunks, 1, [], 10), { context: `...${'a'.repeat(7)}END` });
+  assert.deepEqual(previousChunkContext(chunks, 1, [`${'b'.repeat(50)}FIN`], 5), { previousTranslation: '...bbFIN' });
+});
+
+test('mapWithConcurrency keeps the order of the items and the limit', async () => {
+  let running = 0;
+  let maxRunning = 0;
+  const delays = [30, 5, 20, 1, 10];
+  const results = await mapWithConcurrency(delays, 2, async (delay, i) => {
+    running++;
+    maxRunning = Math.max(maxRunning, running);
+    await new Promise((resolve) => setTimeout(resolve, delay));
+    running--;
+    return i;
+  });
+  assert.deepEqual(results, [0, 1, 2, 3, 4]);
+  assert.equal(maxRunning, 2);
+});
@@ -0,0 +1,46 @@
+// Export formats of the notebook and the history (exchange.js), in particular cells that a
+// spreadsheet would run as formulas
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadScript } from './load-script.js';
+
+const { csvField, historyToCsv, historyToJson, parseHistoryJson, parseNotebookJson } = loadScript('exchange.js', [
+  'csvField', 'historyToCsv', 'historyToJson', 'parseHistoryJson', 'parseNotebookJson'
+]);
+
+test('cells starting like a formula are prefixed with a quote', () => {
+  assert.equal(csvField('=HYPERLINK("https://evil.test","click")'), '"\'=HYPERLINK(""https://evil.test"",""click"")"');
+  assert.equal(csvField('+1+1'), "'+1+1");
+  assert.equal(csvField('-2+3'), "'-2+3");
+  assert.equal(csvField('@SUM(A1:A2)'), "'@SUM(A1:A2)");
+  assert.equal(csvField('\t=1+1'), "'\t=1+1");
+  assert.equal(csvField('\r=1+1'), '"\'\r=1+1"');
+});
+
+test('other cells are left alone, quoted only when they need it', () => {
+  assert.equal(csvField('a = b + c'), 'a = b + c');
+  assert.equal(csvField('e-mail'), 'e-mail');
+  assert.equal(csvField('one, two'), '"one, two"');
+  assert.equal(csvField('say "hi"'), '"say ""hi"""');
+  assert.equal(csvField(42), '42');
+  assert.equal(csvField(null), '');
+  assert.equal(csvField(undefined), '');
+});
+
+test('history rows are guarded too', () => {
+  const csv = historyToCsv([{
+    original: '=cmd|"/c calc"!A1', translation: '-', context: '', source: 'en', target: 'it',
+    url: 'https://example.com/', title: '@home', at: Date.UTC(2026, 0, 2)
+  }]);
+  const [header, row] = csv.replace(/^﻿/, '').trim().split('\r\n');
+  assert.equal(header, 'original,translation,context,source,target,url,title,translated');
+  assert.equal(row, '"\'=cmd|""/c calc""!A1",\'-,,en,it,https://example.com/,\'@home,2026-01-02T00:00:00.000Z');
+});
+
+test('the history JSON export reads back, and other files are refused', () => {
+  const entries = [{ id: 'a', at: 1, original: 'cat', translation: 'gatto' }];
+  assert.deepEqual(parseHistoryJson(historyToJson(entries)), entries);
+  assert.throws(() => parseHistoryJson('{'), /not valid JSON/);
+  assert.throws(() => parseNotebookJson(historyToJson(entries)), /not a SmartTranslate\+ notebook export/);
+  assert.throws(() => parseHistoryJson(JSON.stringify({ format: 'smarttranslate-history', version: 99, entries: [] })), /Unsupported history version 99/);
+});
@@ -0,0 +1,199 @@
+// Circuit breaker states and endpoint failover of the proxy calls (failover.js)
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadScript } from './load-script.js';
+
+const {
+  createCircuitBreaker, getCircuitBreaker, withFailover, classifyFailure, BREAKER_FAILURE_THRESHOLD, BREAKER_COOLDOWN_MS
+} = loadScript('failover.js', [
+  'createCircuitBreaker', 'getCircuitBreaker', 'withFailover', 'classifyFailure', 'BREAKER_FAILURE_THRESHOLD', 'BREAKER_COOLDOWN_MS'
+]);
+
+const serverError = { error: 'proxy_error', status: 503, message: '{"error":"openai_error"}' };
+// retried right away: the proxy says how long to wait
+const retryNow = { ...serverError, retryAfterMs: 0 };
+
+function openBreaker(breaker) {
+  for (let i = 0; i < BREAKER_FAILURE_THRESHOLD; i++) breaker.recordFailure();
+}
+
+// The breakers are kept per URL for the whole worker: every test uses URLs of its own
+let nextPort = 1;
+const endpointsFor = (...names) => {
+  const port = nextPort++;
+  return names.map((name) => ({ url: `https://${name}.test:${port}/api/translate`, token: null }));
+};
+
+test('the breaker opens after consecutive failures only', (t) => {
+  t.mock.timers.enable({ apis: ['Date'], now: 0 });
+  t.mock.method(console, 'warn', () => {});
+  const breaker = createCircuitBreaker();
+  for (let i = 0; i < BREAKER_FAILURE_THRESHOLD - 1; i++) breaker.recordFailure();
+  breaker.recordSuccess();
+  for (let i = 0; i < BREAKER_FAILURE_THRESHOLD - 1; i++) breaker.recordFailure();
+  assert.ok(breaker.allowRequest());
+  assert.deepEqual(breaker.health(), { state: 'healthy', failures: BREAKER_FAILURE_THRESHOLD - 1 });
+
+  breaker.recordFailure();
+  assert.ok(!breaker.allowRequest());
+  assert.ok(!breaker.isAvailable());
+  assert.deepEqual(breaker.degradedError(), { error: 'service_degraded', retryAfter: BREAKER_COOLDOWN_MS / 1000 });
+  assert.equal(breaker.health().state, 'degraded');
+});
+
+test('after the cooldown a single trial request is let through', (t) => {
+  t.mock.timers.enable({ apis: ['Date'], now: 0 });
+  t.mock.method(console, 'warn', () => {});
+  const breaker = createCircuitBreaker();
+  openBreaker(breaker);
+  t.mock.timers.tick(BREAKER_COOLDOWN_MS);
+
+  assert.equal(breaker.health().state, 'recovering');
+  assert.ok(breaker.isAvailable());
+  assert.ok(breaker.allowRequest());
+  // the trial is in flight: nothing else goes through
+  assert.ok(!breaker.isAvailable());
+  assert.ok(!breaker.allowRequest());
+});
+
+test('a successful trial closes the breaker', (t) => {
+  t.mock.timers.enable({ apis: ['Date'], now: 0 });
+  t.mock.method(console, 'warn', () => {});
+  const breaker = createCircuitBreaker();
+  openBreaker(breaker);
+  t.mock.timers.tick(BREAKER_COOLDOWN_MS);
+  breaker.allowRequest();
+  breaker.recordSuccess();
+
+  assert.deepEqual(breaker.health(), { state: 'healthy', failures: 0 });
+  assert.ok(breaker.allowRequest());
+  assert.ok(breaker.allowRequest());
+});
+
+test('a failed trial reopens the breaker for twice the cooldown', (t) => {
+  t.mock.timers.enable({ apis: ['Date'], now: 0 });
+  t.mock.method(console, 'warn', () => {});
+  const breaker = createCircuitBreaker();
+  openBreaker(breaker);
+  t.mock.timers.tick(BREAKER_COOLDOWN_MS);
+  breaker.allowRequest();
+  breaker.recordFailure();
+
+  assert.equal(breaker.health().state, 'degraded');
+  assert.equal(breaker.degradedError().retryAfter, (2 * BREAKER_COOLDOWN_MS) / 1000);
+  t.mock.timers.tick(BREAKER_COOLDOWN_MS);
+  assert.ok(!breaker.allowRequest());
+  t.mock.timers.tick(BREAKER_COOLDOWN_MS);
+  assert.ok(breaker.allowRequest());
+});
+
+test('a released trial lets the next request be the trial', (t) => {
+  t.mock.timers.enable({ apis: ['Date'], now: 0 });
+  t.mock.method(console, 'warn', () => {});
+  const breaker = createCircuitBreaker();
+  openBreaker(breaker);
+  t.mock.timers.tick(BREAKER_COOLDOWN_MS);
+  breaker.allowRequest();
+  breaker.releaseTrial();
+
+  assert.equal(breaker.health().state, 'recovering');
+  assert.ok(breaker.allowRequest());
+  assert.ok(!breaker.allowRequest());
+});
+
+test('a success is returned with the endpoint that served it', async () => {
+  const [endpoint] = endpointsFor('one');
+  const result = await withFailover([endpoint], async () => ({ data: { translation: 'Ciao' } }));
+  assert.deepEqual(result, { data: { translation: 'Ciao' }, endpoint: endpoint.url });
+});
+
+test('a retryable failure moves on to the next endpoint without retrying the first', async (t) => {
+  t.mock.method(console, 'warn', () => {});
+  const endpoints = endpointsFor('first', 'second');
+  const calls = [];
+  const result = await withFailover(endpoints, async (endpoint) => {
+    calls.push(endpoint.url);
+    return endpoint === endpoints[0] ? retryNow : { data: 'ok' };
+  });
+  assert.deepEqual(calls, endpoints.map(({ url }) => url));
+  assert.deepEqual(result, { data: 'ok', endpoint: endpoints[1].url });
+});
+
+test('the last endpoint is retried within the budget of the failure class', async (t) => {
+  t.mock.method(console, 'warn', () => {});
+  const [endpoint] = endpointsFor('only');
+  let calls = 0;
+  const result = await withFailover([endpoint], async () => {
+    calls++;
+    return retryNow;
+  });
+  assert.equal(calls, 3); // server_error: 2 retries
+  assert.deepEqual(result, { ...retryNow, endpoint: endpoint.url });
+});
+
+test('a refused request is final and does not count against the endpoint', async () => {
+  const endpoints = endpointsFor('first', 'second');
+  const refused = { error: 'proxy_error', status: 400, message: '{"error":"missing_text"}' };
+  const calls = [];
+  const result = await withFailover(endpoints, async (endpoint) => {
+    calls.push(endpoint.url);
+    return refused;
+  });
+  assert.deepEqual(calls, [endpoints[0].url]);
+  assert.equal(result.status, 400);
+  assert.deepEqual(getCircuitBreaker(endpoints[0].url).health(), { state: 'healthy', failures: 0 });
+});
+
+test('a configuration error of one endpoint moves on to the next without opening its breaker', async (t) => {
+  t.mock.method(console, 'warn', () => {});
+  const endpoints = endpointsFor('first', 'second');
+  const misconfigured = { error: 'proxy_error', status: 500, message: '{"error":"server_misconfigured"}' };
+  assert.equal(classifyFailure(misconfigured), null);
+  const result = await withFailover(endpoints, async (endpoint) => (endpoint === endpoints[0] ? misconfigured : { data: 'ok' }));
+  assert.equal(result.endpoint, endpoints[1].url);
+  assert.equal(getCircuitBreaker(endpoints[0].url).health().failures, 0);
+});
+
+test('endpoints whose breaker is open are skipped', async (t) => {
+  t.mock.method(console, 'warn', () => {});
+  const endpoints = endpointsFor('first', 'second');
+  openBreaker(getCircuitBreaker(endpoints[0].url));
+  const calls = [];
+  const result = await withFailover(endpoints, async (endpoint) => {
+    calls.push(endpoint.url);
+    return { data: 'ok' };
+  });
+  assert.deepEqual(calls, [endpoints[1].url]);
+  assert.equal(result.endpoint, endpoints[1].url);
+});
+
+test('with every breaker open nothing is sent and the first to reopen is reported', async (t) => {
+  t.mock.timers.enable({ apis: ['Date'], now: 0 });
+  t.mock.method(console, 'warn', () => {});
+  const endpoints = endpointsFor('first', 'second');
+  openBreaker(getCircuitBreaker(endpoints[0].url));
+  t.mock.timers.tick(10000);
+  openBreaker(getCircuitBreaker(endpoints[1].url));
+
+  let calls = 0;
+  const result = await withFailover(endpoints, async () => {
+    calls++;
+    return { data: 'ok' };
+  });
+  assert.equal(calls, 0);
+  assert.deepEqual(result, { error: 'service_degraded', retryAfter: BREAKER_COOLDOWN_MS / 1000 - 10, endpoint: endpoints[0].url });
+});
+
+test('an aborted trial releases the breaker instead of closing it', async (t) => {
+  t.mock.timers.enable({ apis: ['Date'], now: 0 });
+  t.mock.method(console, 'warn', () => {});
+  const [endpoint] = endpointsFor('only');
+  const breaker = getCircuitBreaker(endpoint.url);
+  openBreaker(breaker);
+  t.mock.timers.tick(BREAKER_COOLDOWN_MS);
+
+  const result = await withFailover([endpoint], async () => ({ error: 'aborted' }));
+  assert.equal(result.error, 'aborted');
+  assert.deepEqual(breaker.health(), { state: 'recovering', failures: BREAKER_FAILURE_THRESHOLD });
+  assert.ok(breaker.allowRequest());
+});
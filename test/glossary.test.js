@@ -0,0 +1,56 @@
+// Checks of glossary terms in a translation (glossary.js): required translations in another
+// grammatical form, words that only look alike, and terms that must stay as they are
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadScript } from './load-script.js';
+
+const { findGlossaryViolations, glossaryEntriesFor } = loadScript('glossary.js', ['findGlossaryViolations', 'glossaryEntriesFor']);
+
+const entry = (term, translation, lang = '') => ({ term, translation, lang });
+const violates = (term, translation, text, target) => findGlossaryViolations([entry(term, translation)], text, target).length > 0;
+
+test('a required translation is accepted in its other grammatical forms', () => {
+  assert.ok(!violates('cat', 'Katze', 'Die Katzen schlafen.', 'de'));
+  assert.ok(!violates('child', 'Kind', 'Mit den Kindern.', 'de'));
+  assert.ok(!violates('door', 'Tür', 'Alle Türen sind zu.', 'de'));
+  assert.ok(!violates('cat', 'gatto', 'I gatti dormono.', 'it'));
+  assert.ok(!violates('request', 'richiesta', 'Le richieste sono partite.', 'it'));
+  assert.ok(!violates('pull request', 'richiesta di modifica', 'Due richieste di modifica.', 'it'));
+  assert.ok(!violates('cat', 'gatto', 'GATTO!', 'it'));
+});
+
+test('words that only look like the required translation are not taken for it', () => {
+  assert.ok(violates('cat', 'gatto', 'Il gas è aperto.', 'it'));
+  assert.ok(violates('dog', 'cane', 'Il canestro è alto.', 'it'));
+  assert.ok(violates('cat', 'Katze', 'Der Katzenjammer.', 'de'));
+  assert.ok(violates('room', 'Zimmer', 'Der Zimmermann.', 'de'));
+  assert.ok(violates('the box', 'la scatola', 'Una scatola.', 'it'));
+});
+
+test('names are matched as written, except capitalized nouns in German', () => {
+  assert.ok(violates('Acme', 'Acme', 'Acqua minerale.', 'it'));
+  assert.ok(violates('the company', 'Acme', 'Le Acmes sono qui.', 'it'));
+  assert.ok(violates('phone', 'iPhone', 'Due iPhones.', 'it'));
+  assert.ok(violates('interface', 'API', 'Le APIs.', 'it'));
+  assert.ok(!violates('cat', 'Katze', 'Katzen', 'de-AT'));
+  assert.ok(!violates('cat', 'gatto', 'Gatti', 'it'));
+});
+
+test('a term that must stay untranslated is matched as written', () => {
+  const glossary = [entry('Acme', ''), entry('Kubernetes', '', 'it')];
+  assert.deepEqual(findGlossaryViolations(glossary, 'Acmes usa Kubernetes.', 'it'), [{ term: 'Acme', expected: 'Acme' }]);
+  assert.deepEqual(findGlossaryViolations(glossary, 'Acme usa Kubernetess.', 'it'), [
+    { term: 'Kubernetes', expected: 'Kubernetes' }
+  ]);
+  assert.deepEqual(findGlossaryViolations(glossary, 'acme usa kubernetes.', 'it'), []);
+});
+
+test('entries for another target are not checked', () => {
+  assert.deepEqual(findGlossaryViolations([entry('cat', 'Katze', 'de')], 'Il gatto.', 'it'), []);
+});
+
+test('only the entries whose term is in the text are sent', () => {
+  const glossary = [entry('cat', 'gatto'), entry('dog', 'cane'), entry('API', '')];
+  assert.deepEqual(glossaryEntriesFor(glossary, 'The cat calls the API.', ['it']).map(({ term }) => term), ['cat', 'API']);
+  assert.deepEqual(glossaryEntriesFor(glossary, 'A catalog of dogma.', ['it']), []);
+});
@@ -0,0 +1,78 @@
+// Import of an exported history into the IndexedDB history (history.js), on fake-indexeddb:
+// duplicates are merged, bad entries skipped, URLs checked
+import 'fake-indexeddb/auto';
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadScript } from './load-script.js';
+
+loadScript('cache.js', []);
+loadScript('notebook.js', []);
+const { importHistoryEntries, listHistoryEntries, clearHistory } = loadScript('history.js', [
+  'importHistoryEntries', 'listHistoryEntries', 'clearHistory'
+]);
+
+const entry = (fields) => ({
+  id: 'e1', at: 1000, original: 'cat', translation: 'gatto', context: '', url: 'https://example.com/a', title: '',
+  source: 'en', target: 'it', ...fields
+});
+
+const byAt = async () => (await listHistoryEntries()).sort((a, b) => a.at - b.at);
+
+beforeEach(() => clearHistory());
+
+test('new entries are added with their fields', async () => {
+  const counts = await importHistoryEntries([entry(), entry({ id: 'e2', at: 2000, original: 'dog', translation: 'cane' })]);
+  assert.deepEqual(counts, { added: 2, merged: 0, skipped: 0 });
+  const [first] = await byAt();
+  assert.equal(first.host, 'example.com');
+  assert.equal(first.original, 'cat');
+});
+
+test('importing the same export twice merges every entry', async () => {
+  const entries = [entry(), entry({ id: 'e2', at: 2000, original: 'dog', translation: 'cane' })];
+  await importHistoryEntries(entries);
+  assert.deepEqual(await importHistoryEntries(entries), { added: 0, merged: 2, skipped: 0 });
+  assert.equal((await listHistoryEntries()).length, 2);
+});
+
+test('the same translation at the same time is merged even under another id', async () => {
+  await importHistoryEntries([entry()]);
+  assert.deepEqual(await importHistoryEntries([entry({ id: 'from-another-browser' })]), { added: 0, merged: 1, skipped: 0 });
+  assert.deepEqual((await listHistoryEntries()).map((saved) => saved.id), ['e1']);
+});
+
+test('entries at the same time with other texts are kept apart', async () => {
+  await importHistoryEntries([entry()]);
+  const counts = await importHistoryEntries([entry({ id: 'e2', original: 'cats' }), entry({ id: 'e3', translation: 'micio' })]);
+  assert.deepEqual(counts, { added: 2, merged: 0, skipped: 0 });
+  assert.equal((await listHistoryEntries()).length, 3);
+});
+
+test('an id taken by another translation gets a new one instead of overwriting it', async () => {
+  await importHistoryEntries([entry()]);
+  assert.deepEqual(await importHistoryEntries([entry({ at: 5000, original: 'bird', translation: 'uccello' })]), {
+    added: 1, merged: 0, skipped: 0
+  });
+  const [kept, added] = await byAt();
+  assert.deepEqual([kept.id, kept.original], ['e1', 'cat']);
+  assert.notEqual(added.id, 'e1');
+  assert.equal(added.original, 'bird');
+});
+
+test('duplicates within one import are merged too', async () => {
+  assert.deepEqual(await importHistoryEntries([entry(), entry(), entry({ id: 'copy' })]), { added: 1, merged: 2, skipped: 0 });
+});
+
+test('unusable entries are skipped and unsafe URLs dropped', async () => {
+  const counts = await importHistoryEntries([
+    null,
+    'text',
+    entry({ original: '' }),
+    entry({ at: 'yesterday' }),
+    entry({ id: 'js', at: 3000, url: 'javascript:alert(1)' })
+  ]);
+  assert.deepEqual(counts, { added: 1, merged: 0, skipped: 4 });
+  const [saved] = await listHistoryEntries();
+  assert.equal(saved.url, '');
+  assert.equal(saved.host, '');
+});
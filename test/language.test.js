@@ -0,0 +1,46 @@
+// Source-language detection, in particular on the short selections the popup usually gets
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { detectLanguage, sameLanguage } from '../language.js';
+
+// translate.js takes a text to be in the target language from this confidence on
+const SAME_LANGUAGE_MIN_CONFIDENCE = 0.6;
+
+test('short selections with a few common words are recognized confidently', () => {
+  [
+    ['Where is the station?', 'en'],
+    ['die Katze ist schwarz', 'de'],
+    ['Grazie mille per il tuo aiuto', 'it'],
+    ['Je ne sais pas pour vous', 'fr']
+  ].forEach(([text, language]) => {
+    const detected = detectLanguage(text);
+    assert.equal(detected.language, language, text);
+    assert.ok(detected.confidence >= SAME_LANGUAGE_MIN_CONFIDENCE, `${text}: ${detected.confidence}`);
+  });
+});
+
+test('a single common word is not enough', () => {
+  ['the', 'die', 'de'].forEach((text) => {
+    const detected = detectLanguage(text);
+    assert.ok(!detected || detected.confidence < SAME_LANGUAGE_MIN_CONFIDENCE, text);
+  });
+});
+
+test('long texts need more evidence than short ones', () => {
+  const text = 'The quick brown fox jumps over the lazy dog and runs away from the farm with the other animals';
+  assert.deepEqual(detectLanguage(text), { language: 'en', confidence: 1 });
+  assert.ok(detectLanguage('Lorem ipsum dolor sit amet, consectetur adipiscing elit, sed do eiusmod tempor the').confidence < SAME_LANGUAGE_MIN_CONFIDENCE);
+});
+
+test('non-Latin scripts are recognized by their script', () => {
+  assert.equal(detectLanguage('Где находится вокзал?').language, 'ru');
+  assert.equal(detectLanguage('駅はどこですか').language, 'ja');
+  assert.equal(detectLanguage('火车站在哪里').language, 'zh');
+  assert.equal(detectLanguage('12345'), null);
+});
+
+test('sameLanguage ignores the region', () => {
+  assert.ok(sameLanguage('pt-BR', 'pt'));
+  assert.ok(!sameLanguage('pt', 'es'));
+  assert.ok(!sameLanguage(null, 'en'));
+});
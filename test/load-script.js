@@ -0,0 +1,10 @@
+// The extension's scripts are plain scripts sharing one global scope (importScripts in
+// background.js, <script> tags in the pages), not modules: they are run in the global scope of
+// the test, and the functions and constants a test needs are read back from it by name
+import vm from 'node:vm';
+import { readFileSync } from 'node:fs';
+
+export function loadScript(file, names) {
+  vm.runInThisContext(readFileSync(new URL(`../${file}`, import.meta.url), 'utf8'), { filename: file });
+  return Object.fromEntries(names.map((name) => [name, vm.runInThisContext(name)]));
+}
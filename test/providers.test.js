@@ -0,0 +1,211 @@
+// Providers against a local mock HTTP server standing in for OpenAI, an OpenAI-compatible
+// server, LibreTranslate and DeepL: successful translations, and every failure normalized to
+// a ProviderError with the error codes the handler returns.
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { ProviderError, getTranslationProvider } from '../providers.js';
+
+// What the mock answers: respond(req, body, res), set by each test; requests are recorded
+let respond = null;
+let requests = [];
+let server;
+let baseUrl;
+
+const json = (res, status, body) => {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+};
+const chatReply = (content, finishReason = 'stop') => (req, body, res) => json(res, 200, {
+  choices: [{ message: { role: 'assistant', content }, finish_reason: finishReason }]
+});
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    let data = '';
+    req.on('data', (chunk) => { data += chunk; });
+    req.on('end', () => {
+      const body = data ? JSON.parse(data) : null;
+      requests.push({ method: req.method, url: req.url, headers: req.headers, body });
+      respond(req, body, res);
+    });
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server.closeAllConnections();
+  server.close();
+});
+
+const ENV_KEYS = [
+  'TRANSLATION_PROVIDER', 'OPENAI_API_KEY', 'OPENAI_BASE_URL', 'OPENAI_MODEL', 'LOCAL_LLM_URL', 'LOCAL_LLM_MODEL',
+  'LOCAL_LLM_KEY', 'LIBRETRANSLATE_URL', 'LIBRETRANSLATE_KEY', 'DEEPL_API_KEY', 'DEEPL_API_URL', 'PROVIDER_TIMEOUT_MS'
+];
+
+beforeEach(() => {
+  ENV_KEYS.forEach((key) => delete process.env[key]);
+  respond = null;
+  requests = [];
+});
+
+function useProvider(id, env = {}) {
+  Object.assign(process.env, { TRANSLATION_PROVIDER: id }, env);
+  return getTranslationProvider();
+}
+
+const openai = () => useProvider('openai', { OPENAI_API_KEY: 'sk-test', OPENAI_BASE_URL: `${baseUrl}/v1`, OPENAI_MODEL: 'gpt-test' });
+const local = () => useProvider('openai-compatible', { LOCAL_LLM_URL: `${baseUrl}/v1/` });
+
+async function assertProviderError(promise, expected) {
+  await assert.rejects(promise, (err) => {
+    assert.ok(err instanceof ProviderError, `expected a ProviderError, got ${err}`);
+    Object.entries(expected).forEach(([key, value]) => assert.equal(err[key], value, key));
+    return true;
+  });
+}
+
+test('openai: translates through the chat completions endpoint', async () => {
+  respond = chatReply(' Ciao mondo \n');
+  const result = await openai().translate({ text: 'Hello world', target: 'it' });
+
+  assert.deepEqual(result, { translation: 'Ciao mondo' });
+  assert.equal(requests.length, 1);
+  const [request] = requests;
+  assert.equal(request.url, '/v1/chat/completions');
+  assert.equal(request.headers.authorization, 'Bearer sk-test');
+  assert.equal(request.body.model, 'gpt-test');
+  assert.equal(request.body.temperature, 0);
+  assert.ok(request.body.messages.some((m) => m.role === 'user' && m.content.includes('Hello world')));
+});
+
+test('openai-compatible: works without a key and streams the deltas', async () => {
+  respond = (req, body, res) => {
+    res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+    ['Ciao', ' mondo'].forEach((content) => res.write(`data: ${JSON.stringify({ choices: [{ delta: { content } }] })}\n\n`));
+    res.end('data: [DONE]\n\n');
+  };
+  const deltas = [];
+  const result = await local().translate({ text: 'Hello world', target: 'it', onDelta: (delta) => deltas.push(delta) });
+
+  assert.deepEqual(result, { translation: 'Ciao mondo' });
+  assert.deepEqual(deltas, ['Ciao', ' mondo']);
+  assert.equal(requests[0].url, '/v1/chat/completions');
+  assert.equal(requests[0].headers.authorization, undefined);
+  assert.equal(requests[0].body.model, 'local-model');
+  assert.equal(requests[0].body.stream, true);
+});
+
+test('openai-compatible: keeps the last delta of a stream that does not end with a newline', async () => {
+  respond = (req, body, res) => {
+    res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+    res.write(`data: ${JSON.stringify({ choices: [{ delta: { content: 'Ciao' } }] })}\n\n`);
+    res.end(`data: ${JSON.stringify({ choices: [{ delta: { content: ' mondo' }, finish_reason: 'stop' }] })}`);
+  };
+  const deltas = [];
+  const result = await local().translate({ text: 'Hello world', target: 'it', onDelta: (delta) => deltas.push(delta) });
+
+  assert.deepEqual(result, { translation: 'Ciao mondo' });
+  assert.deepEqual(deltas, ['Ciao', ' mondo']);
+});
+
+test('libretranslate: translates and reports the detected language', async () => {
+  respond = (req, body, res) => json(res, 200, { translatedText: 'Ciao mondo', detectedLanguage: { language: 'en', confidence: 90 } });
+  const deltas = [];
+  const result = await useProvider('libretranslate', { LIBRETRANSLATE_URL: baseUrl, LIBRETRANSLATE_KEY: 'lt-key' })
+    .translate({ text: 'Hello world', target: 'it', onDelta: (delta) => deltas.push(delta) });
+
+  assert.deepEqual(result, { translation: 'Ciao mondo', detectedSource: { language: 'en', confidence: 0.9 } });
+  assert.deepEqual(deltas, ['Ciao mondo']);
+  assert.equal(requests[0].url, '/translate');
+  assert.deepEqual(requests[0].body, { q: 'Hello world', source: 'auto', target: 'it', format: 'text', api_key: 'lt-key' });
+});
+
+test('deepl: maps the target and the formality, and reports the detected language', async () => {
+  respond = (req, body, res) => json(res, 200, { translations: [{ text: 'Hello world', detected_source_language: 'IT' }] });
+  const result = await useProvider('deepl', { DEEPL_API_KEY: 'dl-key', DEEPL_API_URL: `${baseUrl}/v2` })
+    .translate({ text: 'Ciao mondo', target: 'en', context: 'Un saluto.', formality: 'formal' });
+
+  assert.deepEqual(result, { translation: 'Hello world', detectedSource: { language: 'it', confidence: null } });
+  assert.equal(requests[0].url, '/v2/translate');
+  assert.equal(requests[0].headers.authorization, 'DeepL-Auth-Key dl-key');
+  assert.deepEqual(requests[0].body, { text: ['Ciao mondo'], target_lang: 'EN-US', context: 'Un saluto.', formality: 'prefer_more' });
+});
+
+test('an error status becomes openai_error with the body as detail', async () => {
+  respond = (req, body, res) => json(res, 500, { error: { message: 'model overloaded' } });
+  await assertProviderError(openai().translate({ text: 'Hello', target: 'it' }), {
+    code: 'openai_error', status: 502, provider: 'openai', detail: '{"error":{"message":"model overloaded"}}'
+  });
+});
+
+test('an error status of the streaming endpoint becomes openai_error', async () => {
+  respond = (req, body, res) => json(res, 429, { error: 'slow down' });
+  await assertProviderError(local().translate({ text: 'Hello', target: 'it', onDelta: () => {} }), {
+    code: 'openai_error', provider: 'openai-compatible'
+  });
+});
+
+test('a reply that is not JSON becomes openai_error', async () => {
+  respond = (req, body, res) => {
+    res.writeHead(200, { 'Content-Type': 'text/html' });
+    res.end('<html>gateway</html>');
+  };
+  await assertProviderError(useProvider('libretranslate', { LIBRETRANSLATE_URL: baseUrl }).translate({ text: 'Hello', target: 'it' }), {
+    code: 'openai_error', detail: 'Provider returned invalid JSON'
+  });
+});
+
+test('an unreachable provider becomes openai_error', async () => {
+  const closed = http.createServer();
+  await new Promise((resolve) => closed.listen(0, '127.0.0.1', resolve));
+  const { port } = closed.address();
+  await new Promise((resolve) => closed.close(resolve));
+
+  await assertProviderError(useProvider('openai-compatible', { LOCAL_LLM_URL: `http://127.0.0.1:${port}/v1` })
+    .translate({ text: 'Hello', target: 'it' }), { code: 'openai_error', provider: 'openai-compatible' });
+});
+
+test('a provider that does not answer in time becomes openai_error with status 504', async () => {
+  respond = () => {}; // never answers
+  await assertProviderError(useProvider('deepl', { DEEPL_API_KEY: 'dl-key', DEEPL_API_URL: baseUrl, PROVIDER_TIMEOUT_MS: '100' })
+    .translate({ text: 'Hello', target: 'it' }), { code: 'openai_error', status: 504, detail: 'provider_timeout', provider: 'deepl' });
+});
+
+test('an empty reply becomes no_translation', async () => {
+  respond = chatReply('   ');
+  await assertProviderError(openai().translate({ text: 'Hello', target: 'it' }), { code: 'no_translation', provider: 'openai' });
+
+  respond = (req, body, res) => json(res, 200, { translatedText: '' });
+  await assertProviderError(useProvider('libretranslate', { LIBRETRANSLATE_URL: baseUrl }).translate({ text: 'Hello', target: 'it' }), {
+    code: 'no_translation', provider: 'libretranslate'
+  });
+
+  respond = (req, body, res) => json(res, 200, { translations: [] });
+  await assertProviderError(useProvider('deepl', { DEEPL_API_KEY: 'dl-key', DEEPL_API_URL: baseUrl }).translate({ text: 'Hello', target: 'it' }), {
+    code: 'no_translation', provider: 'deepl'
+  });
+});
+
+test('a reply cut by the token limit becomes no_translation', async () => {
+  respond = chatReply('Ciao', 'length');
+  await assertProviderError(openai().translate({ text: 'Hello world', target: 'it' }), {
+    code: 'no_translation', detail: 'translation_truncated'
+  });
+});
+
+test('ProviderError serializes to the error shapes of the handler', () => {
+  assert.deepEqual(new ProviderError('openai_error', { detail: 'boom', provider: 'openai' }).toJSON(), {
+    error: 'openai_error', detail: 'boom', provider: 'openai'
+  });
+  assert.deepEqual(new ProviderError('no_translation', { raw: { choices: [] } }).toJSON(), {
+    error: 'no_translation', raw: { choices: [] }
+  });
+});
+
+test('a missing or unknown configuration is server_misconfigured', () => {
+  assert.throws(() => useProvider('openai'), (err) => err instanceof ProviderError && err.code === 'server_misconfigured' && err.status === 500);
+  assert.throws(() => useProvider('libretranslate'), (err) => err.code === 'server_misconfigured' && err.provider === 'libretranslate');
+  assert.throws(() => useProvider('bing'), (err) => err.code === 'server_misconfigured');
+});
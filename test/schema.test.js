@@ -0,0 +1,116 @@
+// The validator of the model's structured output and the repair round trip of requestValidatedJson
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  WORD_ANALYSIS_SCHEMA,
+  SENTENCE_ANALYSIS_SCHEMA,
+  checkWordIndexes,
+  parseModelJson,
+  requestValidatedJson,
+  validate
+} from '../schema.js';
+
+// A chat provider replying with `replies` in turn; the conversations it was sent are recorded
+function fakeProvider(replies) {
+  const calls = [];
+  return {
+    calls,
+    chat: async ({ messages }) => {
+      calls.push(messages);
+      return { content: replies[calls.length - 1] };
+    }
+  };
+}
+
+const checkWord = (parsed) => validate(WORD_ANALYSIS_SCHEMA, parsed);
+
+test('parseModelJson tolerates code fences and chatter around the object', () => {
+  assert.deepEqual(parseModelJson('```json\n{"a": 1}\n```'), { value: { a: 1 } });
+  assert.deepEqual(parseModelJson('Here it is: {"a": 1} Hope it helps!'), { value: { a: 1 } });
+  assert.ok(parseModelJson('no json here').error);
+  assert.ok(parseModelJson('[1, 2]').error);
+  assert.ok(parseModelJson('{"a": }').error);
+});
+
+test('validate coerces the harmless mistakes and drops unknown properties', () => {
+  const { value, errors } = validate(WORD_ANALYSIS_SCHEMA, {
+    type: 'Word', word: ' cat ', definition: 42, synonyms: 'feline', antonyms: null, extra: true
+  });
+  assert.deepEqual(errors, []);
+  assert.deepEqual(value, { type: 'word', word: 'cat', definition: '42', synonyms: ['feline'] });
+});
+
+test('validate reports wrong types and missing required properties', () => {
+  const { value, errors } = validate(WORD_ANALYSIS_SCHEMA, { type: 'word', word: 'cat', examples: { a: 1 } });
+  assert.equal(value, undefined);
+  assert.deepEqual(errors.map((error) => error.path).sort(), ['definition', 'examples']);
+});
+
+test('validate drops an invalid list item, caps lists and keeps the rest', () => {
+  const { value, errors } = validate(SENTENCE_ANALYSIS_SCHEMA, {
+    type: 'sentence',
+    sentence: 'The cat sleeps',
+    meaning: 'A cat is sleeping',
+    words: [{ word: 'The', index: 0, role: 'article' }, { word: 'cat', index: -1, role: 'subject' }],
+    examples: Array.from({ length: 10 }, (_, i) => `example ${i}`)
+  });
+  assert.deepEqual(errors, [{ path: 'words[1].index', message: 'must be >= 0' }]);
+  assert.equal(value.words.length, 1);
+  assert.equal(value.examples.length, 6);
+});
+
+test('checkWordIndexes corrects an index that is off and rejects a word not in the sentence', () => {
+  const analysis = {
+    sentence: 'The cat sees the other cat',
+    words: [{ word: 'cat', index: 4 }, { word: 'has been', index: 0 }, { word: 'dog', index: 2 }]
+  };
+  const errors = checkWordIndexes(analysis);
+  assert.equal(analysis.words[0].index, 5);
+  assert.deepEqual(errors.map((error) => error.path), ['words[1].word', 'words[2].word']);
+});
+
+test('requestValidatedJson returns a valid first reply without a repair round', async () => {
+  const provider = fakeProvider(['{"type": "word", "word": "cat", "definition": "a small feline"}']);
+  const result = await requestValidatedJson({ provider, messages: [{ role: 'user', content: 'cat' }], check: checkWord });
+  assert.deepEqual(result, { value: { type: 'word', word: 'cat', definition: 'a small feline' } });
+  assert.equal(provider.calls.length, 1);
+});
+
+test('requestValidatedJson sends the errors back once and accepts the repaired reply', async () => {
+  const provider = fakeProvider([
+    '{"type": "word", "word": "cat"}',
+    '{"type": "word", "word": "cat", "definition": "a small feline"}'
+  ]);
+  const messages = [{ role: 'user', content: 'cat' }];
+  const result = await requestValidatedJson({ provider, messages, check: checkWord });
+
+  assert.equal(result.value.definition, 'a small feline');
+  assert.equal(result.error, undefined);
+  const [, repair] = provider.calls;
+  assert.deepEqual(repair.slice(0, 2), [...messages, { role: 'assistant', content: '{"type": "word", "word": "cat"}' }]);
+  assert.match(repair[2].content, /- definition: is required/);
+});
+
+test('requestValidatedJson gives up after the repair attempt with invalid_analysis', async (t) => {
+  t.mock.method(console, 'error', () => {});
+  const provider = fakeProvider(['not json', 'still not json']);
+  const result = await requestValidatedJson({ provider, messages: [{ role: 'user', content: 'cat' }], check: checkWord });
+
+  assert.equal(provider.calls.length, 2);
+  assert.match(provider.calls[1][2].content, /- No JSON structure found in response/);
+  assert.deepEqual(result, {
+    error: { error: 'invalid_analysis', hint: 'No JSON structure found in response', fields: [], raw: 'still not json' }
+  });
+});
+
+test('requestValidatedJson keeps what validated when the repair still has errors', async (t) => {
+  t.mock.method(console, 'error', () => {});
+  const reply = '{"type": "sentence", "sentence": "The cat", "meaning": "m", "words": [{"word": "The", "index": 0, "role": "article"}, {"word": "cat", "index": "x", "role": "noun"}]}';
+  const provider = fakeProvider([reply, reply]);
+  const result = await requestValidatedJson({
+    provider, messages: [], check: (parsed) => validate(SENTENCE_ANALYSIS_SCHEMA, parsed)
+  });
+  assert.equal(result.value.words.length, 1);
+  assert.equal(result.error.error, 'invalid_analysis');
+  assert.deepEqual(result.error.fields.map((field) => field.path), ['words[1].index']);
+});
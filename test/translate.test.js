@@ -0,0 +1,117 @@
+// The translate handler against a local mock of DeepL (translation) and OpenAI (analysis): when
+// the provider finds the text to be in the target language already, the translation, and the
+// analysis with it, go to the secondary target, streamed or not.
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import express from 'express';
+import handler from '../translate.js';
+
+let providerRequests = [];
+let provider;
+let proxy;
+let proxyUrl;
+
+const json = (res, body) => {
+  res.writeHead(200, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+};
+
+// DeepL: "Ciao" is Italian; OpenAI: an analysis that says which language it was written for
+function respond(req, body, res) {
+  if (req.url === '/deepl/translate') {
+    const translation = body.target_lang === 'IT' ? 'Ciao' : 'Hello';
+    return json(res, { translations: [{ text: translation, detected_source_language: 'IT' }] });
+  }
+  const language = body.messages[0].content.match(/language has the code "([^"]+)"/)[1];
+  json(res, { choices: [{ message: { content: JSON.stringify({ explanation: `for ${language}` }) }, finish_reason: 'stop' }] });
+}
+
+const listen = (server) => new Promise((resolve) => server.listen(0, '127.0.0.1', () => resolve(`http://127.0.0.1:${server.address().port}`)));
+
+before(async () => {
+  provider = http.createServer((req, res) => {
+    let data = '';
+    req.on('data', (chunk) => { data += chunk; });
+    req.on('end', () => {
+      const body = JSON.parse(data);
+      providerRequests.push({ url: req.url, body });
+      respond(req, body, res);
+    });
+  });
+  const providerUrl = await listen(provider);
+  Object.assign(process.env, {
+    TRANSLATION_PROVIDER: 'deepl',
+    DEEPL_API_KEY: 'dl-key',
+    DEEPL_API_URL: `${providerUrl}/deepl`,
+    ANALYSIS_PROVIDER: 'openai',
+    OPENAI_API_KEY: 'sk-test',
+    OPENAI_BASE_URL: `${providerUrl}/v1`
+  });
+
+  const app = express();
+  app.use(express.json());
+  app.post('/api/translate', handler);
+  proxy = http.createServer(app);
+  proxyUrl = `${await listen(proxy)}/api/translate`;
+});
+
+after(() => {
+  [provider, proxy].forEach((server) => {
+    server.closeAllConnections();
+    server.close();
+  });
+});
+
+beforeEach(() => {
+  providerRequests = [];
+});
+
+const post = (body) => fetch(proxyUrl, {
+  method: 'POST',
+  headers: { 'Content-Type': 'application/json' },
+  body: JSON.stringify(body)
+});
+
+// The `data:` events of a server-sent event stream
+async function readEvents(resp) {
+  const text = await resp.text();
+  return text.split('\n\n').filter((block) => block.startsWith('data:')).map((block) => JSON.parse(block.slice(5)));
+}
+
+test('a text the provider finds already in the target goes to the secondary target with its analysis', async () => {
+  const resp = await post({ text: 'Ciao', target: 'it', secondaryTarget: 'en', detailedAnalysis: true });
+  const data = await resp.json();
+
+  assert.equal(resp.status, 200);
+  assert.equal(data.translation, 'Hello');
+  assert.equal(data.target, 'en');
+  assert.equal(data.detectedSource, 'it');
+  assert.deepEqual(data.detailedAnalysis, { explanation: 'for en' });
+  assert.deepEqual(providerRequests.filter((r) => r.url.startsWith('/deepl')).map((r) => r.body.target_lang), ['IT', 'EN-US']);
+});
+
+test('without a secondary target the translation stays in the target', async () => {
+  const data = await (await post({ text: 'Ciao', target: 'it', detailedAnalysis: true })).json();
+  assert.equal(data.translation, 'Ciao');
+  assert.equal(data.target, 'it');
+  assert.deepEqual(data.detailedAnalysis, { explanation: 'for it' });
+});
+
+test('a streamed translation switches to the secondary target the same way', async () => {
+  const resp = await post({ text: 'Ciao', target: 'it', secondaryTarget: 'en', stream: true });
+  const events = await readEvents(resp);
+
+  assert.deepEqual(events.slice(0, 3), [{ delta: 'Ciao' }, { reset: true }, { delta: 'Hello' }]);
+  const done = events[3];
+  assert.equal(done.done, true);
+  assert.equal(done.translation, 'Hello');
+  assert.equal(done.target, 'en');
+  assert.equal(events.length, 4);
+});
+
+test('a streamed translation into another language is not reset', async () => {
+  const events = await readEvents(await post({ text: 'Ciao', target: 'en', secondaryTarget: 'de', stream: true }));
+  assert.deepEqual(events.map((event) => Object.keys(event)[0]), ['delta', 'done']);
+  assert.equal(events[1].target, 'en');
+});
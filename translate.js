@@ -1,3 +1,315 @@
+import { ProviderError, getTranslationProvider, getAnalysisProvider, getTtsProvider } from './providers.js';
+import {
+  DETAILED_ANALYSIS_SCHEMA,
+  WORD_ANALYSIS_SCHEMA,
+  SENTENCE_ANALYSIS_SCHEMA,
+  checkWordIndexes,
+  requestValidatedJson,
+  validate
+} from './schema.js';
+import {
+  buildDetailedAnalysisMessages,
+  buildWordAnalysisMessages,
+  buildSentenceAnalysisMessages
+} from './prompts.js';
+import { splitIntoChunks, mapWithConcurrency, previousChunkContext, reassemble } from './chunking.js';
+import { detectLanguage, sameLanguage } from './language.js';
+
+// Detailed analysis of a selection as it is used in its surrounding passage, in the shape
+// renderDetailedAnalysis() in content.js expects. Failures are returned, not thrown, so the
+// plain translation can still be sent back.
+async function buildDetailedAnalysis({ text, target, context }) {
+  const { messages } = buildDetailedAnalysisMessages({ text, target, context });
+  try {
+    const { value, error } = await requestValidatedJson({
+      provider: getAnalysisProvider(),
+      messages,
+      maxTokens: 1200,
+      temperature: 0.3,
+      check: (parsed) => validate(DETAILED_ANALYSIS_SCHEMA, parsed)
+    });
+    // the analysis only complements the translation: keep what validated even if some
+    // optional sections had to be dropped
+    return value ? { value } : { error };
+  } catch (err) {
+    if (err instanceof ProviderError) return { error: err.toJSON() };
+    throw err;
+  }
+}
+
+// Texts longer than CHUNK_MAX_CHARS are split (see chunking.js) and translated chunk by chunk,
+// up to CHUNK_CONCURRENCY at a time. Analysis and TTS keep the original 10,000 char limit.
+const MAX_TEXT_LENGTH = 100000;
+const MAX_ANALYSIS_LENGTH = 10000;
+const CHUNK_MAX_CHARS = Number(process.env.CHUNK_MAX_CHARS) || 2000;
+const CHUNK_CONCURRENCY = Number(process.env.CHUNK_CONCURRENCY) || 3;
+
+// Report entry for a chunk that failed (the raw provider reply is left out, it can be large)
+function chunkFailure(index, err) {
+  const { raw, ...body } = err.toJSON();
+  return { index, ...body };
+}
+
+// Error for a text none of whose chunks could be translated: the first provider error,
+// with the per-chunk report attached
+function allChunksFailed(firstError, failedChunks) {
+  return new ProviderError(firstError.code, {
+    status: firstError.status,
+    detail: firstError.detail,
+    provider: firstError.provider,
+    extra: { failedChunks }
+  });
+}
+
+// Which provider and model produced a translation; the extension keys its cache on them
+function providerInfo(provider) {
+  return { provider: provider.name, model: provider.model };
+}
+
+// Below this confidence a text is not taken to be in the target language already
+const SAME_LANGUAGE_MIN_CONFIDENCE = 0.6;
+
+// Style of a translation (see buildTranslationMessages): tone (none keeps the register of the
+// source), fidelity (literal by default) and domain preset
+const FORMALITIES = ['formal', 'informal'];
+const FIDELITIES = ['literal', 'natural'];
+const DOMAINS = ['technical', 'legal', 'casual'];
+
+// Language codes end up in the prompts: only accept tags like "it" or "pt-BR"
+const isLanguageTag = (value) => /^[a-z]{2,3}(?:-[A-Za-z0-9]{2,8})*$/.test(String(value));
+
+// Glossary sent by the extension: [{ term, translation, lang }], an empty translation meaning
+// "do not translate" and an empty lang "every target language"
+const GLOSSARY_MAX_ENTRIES = 100;
+const GLOSSARY_TERM_MAX_LENGTH = 100;
+
+// The entries, or null when the glossary is malformed
+function parseGlossary(value) {
+  if (value === undefined || value === null) return [];
+  if (!Array.isArray(value) || value.length > GLOSSARY_MAX_ENTRIES) return null;
+  const isText = (text, required) => typeof text === 'string' && text.length <= GLOSSARY_TERM_MAX_LENGTH && (!required || !!text.trim());
+  const entries = value.map((entry) => ({
+    term: entry?.term,
+    translation: entry?.translation ?? '',
+    lang: entry?.lang ?? ''
+  }));
+  const valid = entries.every(({ term, translation, lang }) => isText(term, true) && isText(translation) &&
+    (lang === '' || isLanguageTag(lang)));
+  return valid ? entries.map(({ term, translation, lang }) => ({ term: term.trim(), translation: translation.trim(), lang })) : null;
+}
+
+// The entries that apply to a translation into `target`: an entry for that language wins over
+// one for every language. The terms are not matched against the text again: the extension only
+// sends the entries whose term occurs in it (glossaryEntriesFor in glossary.js).
+function glossaryFor(glossary, target) {
+  const byTerm = new Map();
+  glossary.forEach((entry) => {
+    if (entry.lang && !sameLanguage(entry.lang, target)) return;
+    const key = entry.term.toLowerCase();
+    if (!byTerm.has(key) || entry.lang) byTerm.set(key, { term: entry.term, translation: entry.translation });
+  });
+  return [...byTerm.values()];
+}
+
+// The language to translate `text` into: `secondaryTarget` when the text is already in
+// `target` (its translation would just echo it back). Also returns our detection of the source.
+function resolveTarget({ text, target, secondaryTarget }) {
+  const detected = detectLanguage(text);
+  const alreadyInTarget = !!detected && detected.confidence >= SAME_LANGUAGE_MIN_CONFIDENCE &&
+    sameLanguage(detected.language, target);
+  const useSecondary = !!secondaryTarget && alreadyInTarget && !sameLanguage(secondaryTarget, target);
+  return { detected, target: useSecondary ? secondaryTarget : target };
+}
+
+// The provider's own detection (LibreTranslate, DeepL) can tell that a text is already in
+// `target` when ours could not (too short, too few common words): it is then translated again,
+// into `secondaryTarget`
+function needsSecondaryTarget(detectedSource, target, secondaryTarget) {
+  if (!secondaryTarget || !detectedSource || sameLanguage(secondaryTarget, target)) return false;
+  const confident = detectedSource.confidence === null || detectedSource.confidence >= SAME_LANGUAGE_MIN_CONFIDENCE;
+  return confident && sameLanguage(detectedSource.language, target);
+}
+
+// { detectedSource, confidence, target } sent with every translation: the provider's own
+// detection when it has one, ours otherwise
+function sourceInfo(detected, fromProvider, target) {
+  const source = fromProvider || detected;
+  let confidence = source?.confidence ?? null;
+  // DeepL gives no confidence: use ours when both agree on the language
+  if (fromProvider && confidence === null && detected && sameLanguage(detected.language, fromProvider.language)) {
+    confidence = detected.confidence;
+  }
+  return { detectedSource: source?.language || null, confidence, target };
+}
+
+// Translate a long text chunk by chunk. Chunks that fail keep their original text in the
+// result and are listed in `failedChunks`; throws the first error if every chunk failed.
+async function translateInChunks({ text, target, style, glossary, detected }) {
+  const provider = getTranslationProvider();
+  const chunks = splitIntoChunks(text, CHUNK_MAX_CHARS);
+  const failedChunks = [];
+  // chunks translated so far, by index: the next ones continue from them
+  const done = [];
+  let firstError = null;
+
+  const translations = await mapWithConcurrency(chunks, CHUNK_CONCURRENCY, async (chunk, i) => {
+    try {
+      const { translation } = await provider.translate({
+        text: chunk.text,
+        target,
+        ...style,
+        glossary: glossaryFor(glossary, target),
+        ...previousChunkContext(chunks, i, done)
+      });
+      done[i] = translation;
+      return translation;
+    } catch (err) {
+      if (!(err instanceof ProviderError)) throw err;
+      firstError = firstError || err;
+      failedChunks.push(chunkFailure(i, err));
+      return null;
+    }
+  });
+
+  failedChunks.sort((a, b) => a.index - b.index);
+  if (failedChunks.length === chunks.length) throw allChunksFailed(firstError, failedChunks);
+  const result = {
+    translation: reassemble(chunks, translations),
+    chunks: chunks.length,
+    ...providerInfo(provider),
+    ...sourceInfo(detected, null, target)
+  };
+  if (failedChunks.length) {
+    result.partial = true;
+    result.failedChunks = failedChunks;
+  }
+  return result;
+}
+
+// Many short texts in one request (full-page and bilingual modes, batched by background.js):
+// { batch: [{ text, context }], target, formality, fidelity, domain, glossary } ->
+// { results: [{ translation } | { error, ... }], provider, model }
+// with results in the order of `batch`. Items fail on their own; texts longer than
+// CHUNK_MAX_CHARS have to be sent alone. `glossary` holds the entries of all the texts.
+const BATCH_MAX_ITEMS = 100;
+const BATCH_CONCURRENCY = Number(process.env.BATCH_CONCURRENCY) || 4;
+
+async function translateBatch({ batch, target, style, glossary }) {
+  const provider = getTranslationProvider();
+  const results = await mapWithConcurrency(batch, BATCH_CONCURRENCY, async (item) => {
+    const text = typeof item === 'string' ? item : item?.text;
+    if (!text || typeof text !== 'string') return { error: 'missing_text' };
+    if (text.length > CHUNK_MAX_CHARS) return { error: 'text_too_long' };
+    const context = typeof item?.context === 'string' ? item.context.trim().substring(0, 2000) : '';
+    try {
+      const { translation } = await provider.translate({
+        text, target, context, ...style, glossary: glossaryFor(glossary, target)
+      });
+      return { translation };
+    } catch (err) {
+      if (!(err instanceof ProviderError)) throw err;
+      const { raw, ...body } = err.toJSON();
+      return body;
+    }
+  });
+  return { results, ...providerInfo(provider) };
+}
+
+// Stream a translation as server-sent events: `data: { delta }` for each piece, then
+// `data: { done: true, translation }`, or `data: { error, ... }` if the provider fails after
+// the stream has started. Long texts are streamed one chunk after the other; a chunk that
+// fails is announced with `data: { chunkError }` and streamed untranslated. `data: { reset: true }`
+// discards what was streamed so far: the provider found a short text to be in `target` already,
+// and its translation into `secondaryTarget` follows (see needsSecondaryTarget).
+// The upstream request is aborted when the client goes away.
+async function streamTranslation(req, res, { text, target, secondaryTarget, context, style, glossary, detected }) {
+  const provider = getTranslationProvider();
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) controller.abort();
+  });
+
+  res.statusCode = 200;
+  res.setHeader('Content-Type', 'text/event-stream; charset=utf-8');
+  res.setHeader('Cache-Control', 'no-cache, no-transform');
+  res.setHeader('Connection', 'keep-alive');
+  res.flushHeaders?.();
+  const send = (event) => res.write(`data: ${JSON.stringify(event)}\n\n`);
+
+  try {
+    if (text.length <= CHUNK_MAX_CHARS) {
+      const translateInto = (into) => provider.translate({
+        text,
+        target: into,
+        context,
+        ...style,
+        glossary: glossaryFor(glossary, into),
+        signal: controller.signal,
+        onDelta: (delta) => send({ delta })
+      });
+      let finalTarget = target;
+      let { translation, detectedSource } = await translateInto(finalTarget);
+      // as in the default path of the handler: what was streamed is replaced by the translation
+      // into `secondaryTarget`
+      if (needsSecondaryTarget(detectedSource, finalTarget, secondaryTarget)) {
+        finalTarget = secondaryTarget;
+        send({ reset: true });
+        ({ translation, detectedSource } = await translateInto(finalTarget));
+      }
+      send({ done: true, translation, ...providerInfo(provider), ...sourceInfo(detected, detectedSource, finalTarget) });
+    } else {
+      const chunks = splitIntoChunks(text, CHUNK_MAX_CHARS);
+      const translations = [];
+      const failedChunks = [];
+      let firstError = null;
+      for (const chunk of chunks) {
+        if (controller.signal.aborted) return;
+        try {
+          const { translation } = await provider.translate({
+            text: chunk.text,
+            target,
+            ...style,
+            glossary: glossaryFor(glossary, target),
+            ...previousChunkContext(chunks, chunk.index, translations),
+            signal: controller.signal,
+            onDelta: (delta) => send({ delta })
+          });
+          translations.push(translation);
+        } catch (err) {
+          if (!(err instanceof ProviderError) || controller.signal.aborted) throw err;
+          firstError = firstError || err;
+          failedChunks.push(chunkFailure(chunk.index, err));
+          translations.push(null);
+          send({ chunkError: chunkFailure(chunk.index, err) });
+          send({ delta: chunk.text });
+        }
+        if (chunk.separator) send({ delta: chunk.separator });
+      }
+      if (failedChunks.length === chunks.length) throw allChunksFailed(firstError, failedChunks);
+      const done = {
+        done: true,
+        translation: reassemble(chunks, translations),
+        chunks: chunks.length,
+        ...providerInfo(provider),
+        ...sourceInfo(detected, null, target)
+      };
+      if (failedChunks.length) {
+        done.partial = true;
+        done.failedChunks = failedChunks;
+      }
+      send(done);
+    }
+  } catch (err) {
+    if (controller.signal.aborted) return;
+    if (err instanceof ProviderError) send(err.toJSON());
+    else {
+      console.error('Stream error:', err);
+      send({ error: 'proxy_failed', message: String(err?.message || err) });
+    }
+  }
+  res.end();
+}
+
 export default async function handler(req, res) {
   // Robust body parsing for Vercel/Node environments
   if (req.method === 'POST' && !req.body) {
@@ -13,10 +325,12 @@ export default async function handler(req, res) {
     }
   }
   
-  // Basic CORS handling for browser/ext requests
-  res.setHeader('Access-Control-Allow-Origin', '*');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, x-proxy-token');
-  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+  // Basic CORS handling for browser/ext requests (server.js applies its own allowlist)
+  if (!res.locals?.corsHandled) {
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, x-proxy-token');
+    res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+  }
 
   if (req.method === 'OPTIONS') {
     res.status(200).end();
@@ -29,14 +343,31 @@ export default async function handler(req, res) {
   }
 
   try {
-    const { text, target, tts, voice, action } = req.body || {};
-    if (!text || typeof text !== 'string') return res.status(400).json({ error: 'missing_text' });
-    if (text.length > 10000) return res.status(400).json({ error: 'text_too_long' });
+    const {
+      text, target, secondaryTarget, formality, fidelity, domain, glossary: glossaryInput,
+      tts, voice, action, detailedAnalysis, stream, batch
+    } = req.body || {};
+    if ((target && !isLanguageTag(target)) || (secondaryTarget && !isLanguageTag(secondaryTarget))) {
+      return res.status(400).json({ error: 'invalid_target' });
+    }
+    if (formality && !FORMALITIES.includes(formality)) return res.status(400).json({ error: 'invalid_formality' });
+    if (fidelity && !FIDELITIES.includes(fidelity)) return res.status(400).json({ error: 'invalid_fidelity' });
+    if (domain && !DOMAINS.includes(domain)) return res.status(400).json({ error: 'invalid_domain' });
+    const style = { formality, fidelity, domain };
+    const glossary = parseGlossary(glossaryInput);
+    if (!glossary) return res.status(400).json({ error: 'invalid_glossary', max: GLOSSARY_MAX_ENTRIES });
 
-    const OPENAI_KEY = process.env.OPENAI_API_KEY;
-    if (!OPENAI_KEY) return res.status(500).json({ error: 'server_misconfigured' });
+    if (batch !== undefined) {
+      if (!Array.isArray(batch) || !batch.length) return res.status(400).json({ error: 'missing_text' });
+      if (batch.length > BATCH_MAX_ITEMS) return res.status(400).json({ error: 'batch_too_large', max: BATCH_MAX_ITEMS });
+      return res.json(await translateBatch({ batch, target: target || 'it', style, glossary }));
+    }
 
-    const model = process.env.OPENAI_MODEL || 'gpt-3.5-turbo';
+    if (!text || typeof text !== 'string') return res.status(400).json({ error: 'missing_text' });
+    const maxLength = action === 'analyze' || tts ? MAX_ANALYSIS_LENGTH : MAX_TEXT_LENGTH;
+    if (text.length > maxLength) return res.status(400).json({ error: 'text_too_long' });
+    // surrounding passage of the selection (see getSelectionContext in content.js)
+    const context = typeof req.body.context === 'string' ? req.body.context.trim().substring(0, 2000) : '';
 
     // ===== ENHANCED ANALYZE ACTION =====
     if (action === 'analyze') {
@@ -45,209 +376,88 @@ export default async function handler(req, res) {
       const wordCount = trimmed.split(/\s+/).length;
       const isSingleWord = wordCount === 1 && !/[.!?;]/.test(trimmed);
 
-      let systemPrompt, userPrompt;
-
-      if (isSingleWord) {
-        systemPrompt = 'You are a linguistic assistant. Respond ONLY with valid JSON, no markdown, no code fences, no extra text.';
-        userPrompt = `Analyze the word "${trimmed}" and return a JSON object with this exact structure:
-{
-  "type": "word",
-  "word": "${trimmed}",
-  "definition": "brief definition",
-  "synonyms": ["synonym1", "synonym2", "synonym3"],
-  "antonyms": ["antonym1", "antonym2"],
-  "examples": ["Example sentence 1", "Example sentence 2", "Example sentence 3"]
-}
-
-Return ONLY the JSON object, nothing else.`;
-      } else {
-        systemPrompt = 'You are a linguistic assistant. Respond ONLY with valid JSON, no markdown, no code fences, no extra text.';
-        userPrompt = `Analyze this sentence and return a JSON object with this exact structure:
-{
-  "type": "sentence",
-  "sentence": "${trimmed}",
-  "words": [
-    {
-      "word": "actual_word",
-      "index": 0,
-      "role": "noun/verb/adjective/etc",
-      "explanation": "brief explanation of its grammatical role"
-    }
-  ],
-  "meaning": "overall meaning of the sentence",
-  "examples": ["Similar example 1", "Similar example 2"]
-}
-
-Sentence to analyze: "${trimmed}"
+      const { messages } = isSingleWord ? buildWordAnalysisMessages(trimmed) : buildSentenceAnalysisMessages(trimmed);
 
-Return ONLY the JSON object, nothing else.`;
-      }
-
-      const resp = await fetch('https://api.openai.com/v1/chat/completions', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${OPENAI_KEY}`
-        },
-        body: JSON.stringify({ 
-          model, 
-          messages: [
-            { role: 'system', content: systemPrompt },
-            { role: 'user', content: userPrompt }
-          ], 
-          max_tokens: 1000, 
-          temperature: 0.3,
-          response_format: { type: "json_object" }  // Force JSON mode if supported
-        })
-      });
-
-      if (!resp.ok) {
-        const txt = await resp.text();
-        console.error('OpenAI error:', txt);
-        return res.status(502).json({ error: 'openai_error', detail: txt });
-      }
-
-      const data = await resp.json();
-      let content = data?.choices?.[0]?.message?.content || '';
-      
-      // Clean up the response
-      content = content.trim();
-      
-      // Remove markdown code fences if present
-      content = content.replace(/^```(?:json)?\s*/i, '').replace(/```\s*$/i, '');
-      
-      // Try to parse JSON
-      let parsed = null;
-      try {
-        parsed = JSON.parse(content);
-      } catch (e) {
-        // Try to extract JSON from text
-        const jsonMatch = content.match(/\{[\s\S]*\}/);
-        if (jsonMatch) {
-          try {
-            parsed = JSON.parse(jsonMatch[0]);
-          } catch (e2) {
-            console.error('Failed to parse extracted JSON:', e2);
-            console.error('Raw content:', content);
-            return res.status(502).json({ 
-              error: 'invalid_analysis', 
-              raw: content,
-              hint: 'Could not parse model output as JSON'
-            });
-          }
-        } else {
-          console.error('No JSON found in response:', content);
-          return res.status(502).json({ 
-            error: 'invalid_analysis', 
-            raw: content,
-            hint: 'No JSON structure found in response'
-          });
+      const { value, error } = await requestValidatedJson({
+        provider: getAnalysisProvider(),
+        messages,
+        maxTokens: 1000,
+        temperature: 0.3,
+        check: (parsed) => {
+          // the text fields are ours, not the model's copy of them (indexes refer to our sentence)
+          if (isSingleWord) parsed.word = trimmed;
+          else parsed.sentence = trimmed;
+          const result = validate(isSingleWord ? WORD_ANALYSIS_SCHEMA : SENTENCE_ANALYSIS_SCHEMA, parsed);
+          if (result.value && !isSingleWord) result.errors.push(...checkWordIndexes(result.value));
+          return result;
         }
-      }
+      });
 
-      // Validate structure
-      if (!parsed || typeof parsed !== 'object') {
-        return res.status(502).json({ 
-          error: 'invalid_analysis', 
-          raw: content,
-          hint: 'Parsed result is not an object'
-        });
-      }
+      // the model's output is at fault, not the proxy or the provider: a 5xx would make the
+      // extension retry the request and count it against the endpoint (see classifyFailure)
+      if (error) return res.status(422).json(error);
 
-      // Ensure required fields exist
-      if (parsed.type === 'word') {
-        parsed.synonyms = parsed.synonyms || [];
-        parsed.antonyms = parsed.antonyms || [];
-        parsed.examples = parsed.examples || [];
-      } else if (parsed.type === 'sentence') {
-        parsed.words = parsed.words || [];
-        parsed.examples = parsed.examples || [];
+      // Ensure list fields always exist for the popup
+      if (value.type === 'word') {
+        value.synonyms = value.synonyms || [];
+        value.antonyms = value.antonyms || [];
+        value.examples = value.examples || [];
+      } else {
+        value.examples = value.examples || [];
       }
 
-      return res.json({ analysis: parsed });
+      return res.json({ analysis: value });
     }
     // ===== END ANALYZE ACTION =====
 
     // If client requests TTS, attempt to generate audio via configured provider
     if (tts) {
-      const ELEVEN_KEY = process.env.ELEVENLABS_KEY || process.env.ELEVEN_API_KEY || null;
-      const ELEVEN_VOICE = process.env.ELEVEN_VOICE_ID || voice || null;
-      
-      if (!ELEVEN_KEY || !ELEVEN_VOICE) {
-        return res.status(500).json({ 
-          error: 'tts_not_configured', 
-          detail: 'Missing ELEVENLABS_KEY or ELEVEN_VOICE_ID in server env' 
-        });
-      }
+      const { audio, mime } = await getTtsProvider(voice).synthesize({ text });
+      return res.json({ audio, mime });
+    }
 
-      try {
-        const elevenResp = await fetch(`https://api.elevenlabs.io/v1/text-to-speech/${ELEVEN_VOICE}`, {
-          method: 'POST',
-          headers: {
-            'Accept': 'audio/mpeg',
-            'Content-Type': 'application/json',
-            'xi-api-key': ELEVEN_KEY
-          },
-          body: JSON.stringify({ text, model_id: 'eleven_multilingual_v2' })
-        });
-
-        if (!elevenResp.ok) {
-          const txt = await elevenResp.text().catch(() => '');
-          return res.status(502).json({ 
-            error: 'eleven_error', 
-            status: elevenResp.status, 
-            detail: txt 
-          });
-        }
+    // a text already in the target language goes to `secondaryTarget`, when given
+    const { detected, target: translationTarget } = resolveTarget({ text, target: target || 'it', secondaryTarget });
 
-        const arrayBuffer = await elevenResp.arrayBuffer();
-        const audioBase64 = Buffer.from(arrayBuffer).toString('base64');
-        return res.json({ audio: audioBase64, mime: 'audio/mpeg' });
-      } catch (err) {
-        console.error('ElevenLabs TTS error:', err);
-        return res.status(502).json({ 
-          error: 'tts_failed', 
-          message: String(err?.message || err) 
-        });
-      }
+    // Streamed translation for the popup (no detailed analysis on this path)
+    if (stream) {
+      return streamTranslation(req, res, { text, target: translationTarget, secondaryTarget, context, style, glossary, detected });
     }
 
-    // Default: translation
-    const messages = [
-      { 
-        role: 'system', 
-        content: 'You are a concise, literal translator. Always reply only with the translated text and nothing else.' 
-      },
-      { 
-        role: 'user', 
-        content: `Translate the following text to ${target || 'it'} exactly (do not add commentary):\n"""\n${text}\n"""` 
-      }
-    ];
-
-    const resp = await fetch('https://api.openai.com/v1/chat/completions', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${OPENAI_KEY}`
-      },
-      body: JSON.stringify({ model, messages, max_tokens: 800, temperature: 0.0 })
-    });
-
-    if (!resp.ok) {
-      const txt = await resp.text();
-      return res.status(502).json({ error: 'openai_error', detail: txt });
+    // Long texts: chunked translation, reported per chunk (no detailed analysis for those)
+    if (text.length > CHUNK_MAX_CHARS) {
+      return res.json(await translateInChunks({ text, target: translationTarget, style, glossary, detected }));
     }
 
-    const data = await resp.json();
-    const translation = data?.choices?.[0]?.message?.content?.trim();
-    
-    if (!translation) {
-      return res.status(502).json({ error: 'no_translation', raw: data });
+    // Default: translation, using the surrounding passage to disambiguate, optionally
+    // together with the detailed analysis shown in the popup
+    const provider = getTranslationProvider();
+    const translateInto = (into) => provider.translate({
+      text, target: into, context, ...style, glossary: glossaryFor(glossary, into)
+    });
+    let [{ translation, detectedSource }, analysis] = await Promise.all([
+      translateInto(translationTarget),
+      detailedAnalysis ? buildDetailedAnalysis({ text, target: translationTarget, context }) : null
+    ]);
+    let finalTarget = translationTarget;
+    if (needsSecondaryTarget(detectedSource, finalTarget, secondaryTarget)) {
+      finalTarget = secondaryTarget;
+      // the analysis was written for the first target: it is redone for the new one
+      [{ translation, detectedSource }, analysis] = await Promise.all([
+        translateInto(finalTarget),
+        detailedAnalysis ? buildDetailedAnalysis({ text, target: finalTarget, context }) : null
+      ]);
     }
 
-    return res.json({ translation });
+    const result = { translation, ...providerInfo(provider), ...sourceInfo(detected, detectedSource, finalTarget) };
+    if (analysis?.value) result.detailedAnalysis = analysis.value;
+    if (analysis?.error) result.analysisError = analysis.error;
+    return res.json(result);
     
   } catch (err) {
+    if (err instanceof ProviderError) {
+      return res.status(err.status).json(err.toJSON());
+    }
     console.error('Handler error:', err);
     res.status(500).json({ 
       error: 'proxy_failed', 